@@ -0,0 +1,268 @@
+#!/usr/bin/env node
+
+/**
+ * amd-view.js
+ * Command line tool to precompile views into AMD modules.
+ *
+ * @author Denis Sikuler
+ * @license MIT License (c) 2012-2015 Copyright Denis Sikuler
+ */
+
+/*
+ *
+    Usage:
+
+        amd-view compile <source directory> --out <output directory> [--config <configuration file>]
+        amd-view graph <view name> [--base <base directory>] [--format json|dot] [--out <output file>] [--config <configuration file>]
+
+    The tool walks the source directory, assembles each file that has the default extension (`defaultExt` setting)
+    by the Node.js adapter of the plugin and writes the result into the output directory as AMD module
+    of the following kind:
+
+        define(["css!style/main.css", "some/module"], function() { return "...assembled HTML..."; });
+
+    Dependencies of the module are the found dependencies of the view and its inclusions.
+    So neither `text!` nor `view!` plugin is necessary at run time.
+
+    `graph` command walks the view and its included views (names are resolved against the base directory)
+    and prints graph of dependencies in JSON (by default) or Graphviz DOT format.
+
+    Configuration file is a JSON file containing configuration of the plugin
+    (e.g. `defaultExt`, `directiveTag`, `cssLoader`, `inclusionLoader`).
+ *
+ */
+
+
+"use strict";
+
+var fs = require("fs"),
+    path = require("path"),
+    view = require("../node");
+
+/**
+ * Prints usage information and exits with the given code.
+ *
+ * @param {Integer} nCode
+ *      Exit code.
+ */
+function usage(nCode) {
+    (nCode ? console.error : console.log)(
+        "Usage:\n"
+        + "  amd-view compile <source directory> --out <output directory> [--config <configuration file>]\n"
+        + "  amd-view graph <view name> [--base <base directory>] [--format json|dot] [--out <output file>]"
+        + " [--config <configuration file>]"
+    );
+    process.exit(nCode);
+}
+
+/**
+ * Parses command line arguments.
+ *
+ * @param {Array} argList
+ *      Arguments to parse (without node and script paths).
+ * @return {Object}
+ *      Parsed arguments. The object has the following fields (name - type - description):
+ *      <ul>
+ *      <li>command - String - command name
+ *      <li>source - String - source directory or view name
+ *      <li>out - String - output directory or file
+ *      <li>base - String - base directory
+ *      <li>format - String - output format
+ *      <li>config - String - path of configuration file
+ *      </ul>
+ */
+function parseArgs(argList) {
+    var result = {},
+        positionalList = [],
+        nL = argList.length,
+        nI, sArg;
+    for (nI = 0; nI < nL; nI++) {
+        sArg = argList[nI];
+        if (sArg === "--out" || sArg === "--config" || sArg === "--base" || sArg === "--format") {
+            if (nI + 1 >= nL) {
+                throw new Error("Value is not specified for option " + sArg);
+            }
+            result[sArg.substring(2)] = argList[++nI];
+        }
+        else if (sArg === "--help" || sArg === "-h") {
+            result.help = true;
+        }
+        else if (sArg.charAt(0) === "-") {
+            throw new Error("Unknown option " + sArg);
+        }
+        else {
+            positionalList.push(sArg);
+        }
+    }
+    result.command = positionalList[0];
+    result.source = positionalList[1];
+    return result;
+}
+
+/**
+ * Reads configuration of the plugin from JSON file.
+ *
+ * @param {String} [sFile]
+ *      Path of configuration file.
+ * @return {Object}
+ *      Configuration of the plugin or empty object when the file is not specified.
+ */
+function readConfig(sFile) {
+    return sFile
+            ? JSON.parse(fs.readFileSync(sFile, "utf8"))
+            : {};
+}
+
+/**
+ * Returns list of files from the specified directory and its subdirectories that have the given extension.
+ *
+ * @param {String} sDir
+ *      Directory to walk.
+ * @param {String} sExt
+ *      File extension (without dot).
+ * @param {String} [sPrefix]
+ *      Path that should be prepended to names of found files.
+ * @return {Array}
+ *      Paths of found files relative to the directory.
+ */
+function findFiles(sDir, sExt, sPrefix) {
+    var fileList = [];
+    sPrefix = sPrefix || "";
+    fs.readdirSync(sDir).sort().forEach(function(sName) {
+        var sPath = path.join(sDir, sName);
+        if (fs.statSync(sPath).isDirectory()) {
+            fileList = fileList.concat(findFiles(sPath, sExt, sPrefix + sName + "/"));
+        }
+        else if (path.extname(sName) === "." + sExt) {
+            fileList.push(sPrefix + sName);
+        }
+    });
+    return fileList;
+}
+
+/**
+ * Returns code of AMD module that provides the assembled view.
+ *
+ * @param {Object} result
+ *      Result of view processing by the Node.js adapter.
+ * @return {String}
+ *      Code of the module.
+ */
+function getModuleCode(result) {
+    return "define(" + JSON.stringify(result.css.concat(result.modules)) + ", function() { return "
+            + JSON.stringify(result.html)
+                .replace(/\u2028/g, "\\u2028")
+                .replace(/\u2029/g, "\\u2029")
+            + "; });\n";
+}
+
+/**
+ * Creates the directory and all missing parent directories.
+ *
+ * @param {String} sDir
+ *      Directory to create.
+ */
+function makeDir(sDir) {
+    if (! fs.existsSync(sDir)) {
+        makeDir(path.dirname(sDir));
+        fs.mkdirSync(sDir);
+    }
+}
+
+/**
+ * Precompiles views of the source directory into AMD modules.
+ *
+ * @param {Object} args
+ *      Parsed command line arguments. See {@link #parseArgs}.
+ * @param {Function} callback
+ *      Function that should be called when processing is finished. An error is passed when processing is failed.
+ */
+function compile(args, callback) {
+    var config = readConfig(args.config),
+        sExt = config.defaultExt || view.plugin.reconfig.defaultExt || "html",
+        fileList = findFiles(args.source, sExt);
+
+    function next(nIndex) {
+        var sFile = fileList[nIndex];
+        if (! sFile) {
+            callback(null);
+            return;
+        }
+        view.load(sFile, {baseUrl: args.source, config: config}, function(err, result) {
+            var sOutFile;
+            if (err) {
+                callback(err);
+                return;
+            }
+            sOutFile = path.join(args.out, sFile.substring(0, sFile.length - sExt.length) + "js");
+            makeDir(path.dirname(sOutFile));
+            fs.writeFileSync(sOutFile, getModuleCode(result));
+            console.log(sFile + " -> " + sOutFile);
+            next(nIndex + 1);
+        });
+    }
+
+    next(0);
+}
+
+/**
+ * Builds graph of dependencies of the view and prints it.
+ *
+ * @param {Object} args
+ *      Parsed command line arguments. See {@link #parseArgs}.
+ * @param {Function} callback
+ *      Function that should be called when processing is finished. An error is passed when processing is failed.
+ */
+function graph(args, callback) {
+    var config = readConfig(args.config);
+    view.graph(args.source, {baseUrl: args.base, config: config}, function(err, result) {
+        var sResult;
+        if (err) {
+            callback(err);
+            return;
+        }
+        sResult = args.format === "dot"
+                    ? view.plugin.graphToDot(result)
+                    : JSON.stringify(result, null, 4) + "\n";
+        if (args.out) {
+            makeDir(path.dirname(path.resolve(args.out)));
+            fs.writeFileSync(args.out, sResult);
+        }
+        else {
+            process.stdout.write(sResult);
+        }
+        callback(null);
+    });
+}
+
+(function() {
+    var args;
+    try {
+        args = parseArgs(process.argv.slice(2));
+    }
+    catch (e) {
+        console.error(e.message);
+        usage(1);
+    }
+    if (args.help) {
+        usage(0);
+    }
+    if (! args.source
+            || (args.command === "compile" && ! args.out)
+            || (args.command !== "compile" && args.command !== "graph")
+            || (args.format && args.format !== "json" && args.format !== "dot")) {
+        usage(1);
+    }
+    try {
+        (args.command === "compile" ? compile : graph)(args, function(err) {
+            if (err) {
+                console.error(err.message);
+                process.exit(1);
+            }
+        });
+    }
+    catch (e) {
+        console.error(e.message);
+        process.exit(1);
+    }
+})();
@@ -0,0 +1,58 @@
+/**
+ * cram.js builder for view! plugin.
+ *
+ * Licensed under the MIT License at:
+ *      http://www.opensource.org/licenses/mit-license.php
+ *
+ */
+
+
+define(["../view"], function(plugin) {
+"use strict";
+    
+    return {
+        
+        /**
+         * Loads and parses the specified view and writes AMD module that represents the view
+         * into the bundle.
+         * Found dependencies are written as dependencies of the module. Inclusions are made at run time.
+         * Errors of processing are passed into <code>io.error</code>.
+         * 
+         * @param {String} sPluginId
+         *      Name of the plugin (prefix) that is used to load the resource.
+         * @param {String} sResourceId
+         *      Name of the resource. Can contain settings after <code>!</code> separator.
+         * @param {Function} req
+         *      <code>require</code> function.
+         * @param {Object} io
+         *      Object providing input/output functions (<code>read</code>, <code>write</code>, <code>error</code>).
+         * @param {Object} config
+         *      Configuration of the plugin.
+         */
+        compile: function(sPluginId, sResourceId, req, io, config) {
+            var settings;
+            try {
+                settings = plugin.createSettings(sResourceId, config, plugin);
+            }
+            catch (e) {
+                io.error(e);
+                return;
+            }
+            io.read(req.toUrl(settings.viewName), function(sText) {
+                var parseResult;
+                try {
+                    parseResult = settings.parse(sText, settings);
+                    if (! parseResult || typeof parseResult !== "object") {
+                        parseResult = {resource: parseResult};
+                    }
+                    io.write(plugin.getModuleCode(sPluginId, sResourceId, parseResult, settings));
+                }
+                catch (e) {
+                    io.error(e);
+                }
+            }, io.error);
+        }
+        
+    };
+    
+});
@@ -12,7 +12,10 @@ curl.config({
             defaultInclusionExt: "inc",
             directiveTag: ["link", "x-use"],
             inclusionLoader: "text",
-            access: true
+            access: true,
+            vars: {
+                space: space
+            }
         }
     }
 });
@@ -17,7 +17,10 @@ require.config({
             defaultInclusionExt: "inc",
             directiveTag: ["link", "x-use"],
             inclusionLoader: "text",
-            access: true
+            access: true,
+            vars: {
+                space: space
+            }
         }
     }
 });
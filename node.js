@@ -0,0 +1,411 @@
+/**
+ * node.js
+ * Adapter to use view! plugin in Node.js for server-side view assembling.
+ *
+ * @author Denis Sikuler
+ * @license MIT License (c) 2012-2015 Copyright Denis Sikuler
+ */
+
+/*
+ *
+    The adapter evaluates AMD modules of the plugin and provides the plugin with a loader
+    that reads views and inclusions from the file system.
+
+    Dependencies that are found in views are not loaded. They are collected into lists:
+
+    * `css` - CSS-files (dependencies that are loaded by `css!` or `link!` plugin)
+    * `modules` - other dependencies (modules and resources that are loaded by other plugins)
+
+    Inclusions can be loaded by `view!` and `text!` plugins and by plugins that are passed in `plugins` option.
+    Loading of a view fails when its inclusion should be loaded by another plugin.
+
+    ## Usage
+
+    ```javascript
+    var view = require("amd-view-plugin/node");
+
+    view.load("html/main", {baseUrl: "path/to/views", config: {defaultExt: "view"}}, function(err, result) {
+        // result.html - assembled HTML
+        // result.css - list of CSS-files
+        // result.modules - list of other dependencies
+    });
+    ```
+ *
+ */
+
+
+"use strict";
+
+var fs = require("fs"),
+    path = require("path"),
+    vm = require("vm"),
+
+    // Evaluated AMD modules of the plugin. Keys are file names, values are module values.
+    moduleMap = {},
+    // Loader that is used by the plugin's render method
+    defaultLoader = null,
+    // The plugin API object
+    plugin;
+
+/**
+ * Evaluates AMD module of the plugin and returns the module value.
+ *
+ * @param {String} sFile
+ *      Path of the module file.
+ * @return {Any}
+ *      The module value.
+ */
+function requireAmd(sFile) {
+    var sDir = path.dirname(sFile),
+        definition = null,
+        depList, factory;
+
+    function define(deps, moduleFactory) {
+        if (Object.prototype.toString.call(deps) !== "[object Array]") {
+            moduleFactory = deps;
+            deps = [];
+        }
+        definition = {deps: deps, factory: moduleFactory};
+    }
+    define.amd = {};
+
+    if (! moduleMap.hasOwnProperty(sFile)) {
+        vm.runInThisContext("(function(define) {" + fs.readFileSync(sFile, "utf8") + "\n})", {filename: sFile})(define);
+        factory = definition.factory;
+        if (typeof factory === "function") {
+            depList = definition.deps.map(function(sDep) {
+                if (sDep === "module") {
+                    return {
+                        id: "view",
+                        config: function() {
+                            return {};
+                        }
+                    };
+                }
+                else if (sDep === "require") {
+                    return defaultLoader;
+                }
+                return requireAmd(path.resolve(sDir, sDep + ".js"));
+            });
+            moduleMap[sFile] = factory.apply(null, depList);
+        }
+        else {
+            moduleMap[sFile] = factory;
+        }
+    }
+    return moduleMap[sFile];
+}
+
+/**
+ * Creates function that loads dependencies of views similar to <code>require</code> function of AMD loader.
+ *
+ * @param {Object} [options]
+ *      Loading options. The object can have the following fields (name - type - description):
+ *      <ul>
+ *      <li>baseUrl - String - directory against which names of views and inclusions are resolved;
+ *              the default value is the current working directory
+ *      <li>config - Object - configuration of the plugin
+ *      <li>plugins - Object - AMD plugins that can be used to load inclusions;
+ *              keys are plugin names, values are plugin objects (should have <code>load</code> method)
+ *      </ul>
+ * @return {Function}
+ *      Created function. Besides loading it has <code>toUrl</code> and <code>defined</code> methods,
+ *      <code>loadView(name, callback)</code> method that loads the view by the plugin
+ *      and <code>css</code> and <code>modules</code> fields containing lists of collected dependencies.
+ *      Dependencies that are loaded by <code>css!</code>, <code>link!</code> or the plugin that is specified
+ *      in <code>cssLoader</code> setting of a loaded view are considered as CSS-files.
+ */
+function createLoader(options) {
+    var sBaseUrl = path.resolve(options && options.baseUrl || "."),
+        config = (options && options.config) || {},
+        pluginMap = (options && options.plugins) || {},
+        sPluginName = config.pluginName || "view",
+        valueMap = {},
+        // Dependencies that are collected into lists and have no value
+        collectMap = {},
+        // Callbacks of resources that are being loaded
+        waitMap = {},
+        cssMap = {},
+        moduleNameMap = {},
+        // Names of plugins that load CSS-files
+        cssPluginMap = {css: true, link: true},
+        req;
+
+    function loadView(sName, onLoad) {
+        // Views can use their own cssLoader (e.g. in settings of resource name or of rules)
+        try {
+            cssPluginMap[plugin.createSettings(sName, config, plugin).cssLoader] = true;
+        }
+        catch (e) {
+            // Invalid settings are reported by the plugin
+        }
+        plugin.load(sName, req, onLoad, config);
+    }
+
+    function loadDependency(sName, callback, errback) {
+        var nI = sName.indexOf("!"),
+            sPrefix = nI > -1 ? sName.substring(0, nI) : "",
+            sResource = sName.substring(nI + 1),
+            onLoad;
+
+        function save(value, bCollected) {
+            var waitList = waitMap[sName] || [];
+            delete waitMap[sName];
+            // Value of a collected dependency is not available by req(name)
+            (bCollected ? collectMap : valueMap)[sName] = value;
+            waitList.forEach(function(item) {
+                item.callback(value);
+            });
+        }
+
+        function reject(err) {
+            var waitList = waitMap[sName] || [];
+            delete waitMap[sName];
+            waitList.forEach(function(item) {
+                item.errback(err);
+            });
+        }
+
+        if (valueMap.hasOwnProperty(sName)) {
+            callback(valueMap[sName]);
+            return;
+        }
+        if (collectMap.hasOwnProperty(sName)) {
+            callback();
+            return;
+        }
+        if (sName === "require") {
+            callback(req);
+            return;
+        }
+        if (waitMap.hasOwnProperty(sName)) {
+            // The resource is loaded once
+            waitMap[sName].push({callback: callback, errback: errback});
+            return;
+        }
+        waitMap[sName] = [{callback: callback, errback: errback}];
+        if (sPrefix === "text") {
+            fs.readFile(path.resolve(sBaseUrl, sResource), "utf8", function(err, sText) {
+                if (err) {
+                    reject(err);
+                }
+                else {
+                    save(sText);
+                }
+            });
+        }
+        else if (sPrefix === sPluginName || pluginMap.hasOwnProperty(sPrefix)) {
+            onLoad = save;
+            onLoad.error = reject;
+            if (sPrefix === sPluginName) {
+                loadView(sResource, onLoad);
+            }
+            else {
+                pluginMap[sPrefix].load(sResource, req, onLoad, config);
+            }
+        }
+        else {
+            if (cssPluginMap.hasOwnProperty(sPrefix)) {
+                if (! cssMap.hasOwnProperty(sResource)) {
+                    cssMap[sResource] = null;
+                    req.css.push(sName);
+                }
+            }
+            else if (! moduleNameMap.hasOwnProperty(sName)) {
+                moduleNameMap[sName] = null;
+                req.modules.push(sName);
+            }
+            save(undefined, true);
+        }
+    }
+
+    req = function(deps, callback, errback) {
+        var nCount, nI, resultList, bFailed;
+        if (typeof deps === "string") {
+            if (! valueMap.hasOwnProperty(deps)) {
+                nI = deps.indexOf("!");
+                throw new Error("Module is not loaded: " + deps
+                                + (collectMap.hasOwnProperty(deps) && nI > 0
+                                    ? " - plugin " + deps.substring(0, nI) + " is not passed in plugins option"
+                                    : ""));
+            }
+            return valueMap[deps];
+        }
+        nCount = deps.length;
+        resultList = [];
+        bFailed = false;
+        if (! nCount) {
+            callback();
+            return;
+        }
+        deps.forEach(function(sDep, nIndex) {
+            loadDependency(sDep,
+                            function(value) {
+                                resultList[nIndex] = value;
+                                if (! --nCount && ! bFailed) {
+                                    callback.apply(null, resultList);
+                                }
+                            },
+                            function(err) {
+                                if (! bFailed) {
+                                    bFailed = true;
+                                    if (err && typeof err === "object") {
+                                        err.requireModules = [sDep];
+                                    }
+                                    if (typeof errback === "function") {
+                                        errback(err);
+                                    }
+                                }
+                            });
+        });
+    };
+    req.toUrl = function(sName) {
+        return sName;
+    };
+    req.defined = function(sName) {
+        return valueMap.hasOwnProperty(sName);
+    };
+    req.loadView = loadView;
+    req.css = [];
+    req.modules = [];
+
+    return req;
+}
+
+/**
+ * Runs asynchronous action and passes its result into node-style callback or returns Promise.
+ *
+ * @param {Function} action
+ *      Action that should be run. Functions to resolve and to reject the result are passed into the action.
+ * @param {Function} [callback]
+ *      Node-style function that should be called when the action is finished.
+ * @return {Promise | undefined}
+ *      Promise that will be resolved with the result of the action or <code>undefined</code> when callback is passed.
+ */
+function settle(action, callback) {
+    if (typeof callback === "function") {
+        action(function(result) {
+                callback(null, result);
+            },
+            callback);
+    }
+    else {
+        return new Promise(action);
+    }
+}
+
+/**
+ * Normalizes options of processing and creates configuration of the plugin.
+ *
+ * @param {Object} [options]
+ *      Processing options. See {@link #createLoader} and <code>load</code>.
+ * @return {Object}
+ *      Normalized options. <code>config</code> field contains configuration of the plugin
+ *      that includes the data from <code>data</code> field.
+ */
+function getOptions(options) {
+    var mix = plugin.util.object.mix,
+        config;
+    options = options || {};
+    config = mix({}, options.config);
+    if (options.data) {
+        config.vars = mix({}, config.vars, options.data);
+    }
+    return mix({}, options, {config: config});
+}
+
+/**
+ * Converts name of view into form that is used by the loader.
+ *
+ * @param {String} sName
+ *      Name of the view.
+ * @return {String}
+ *      Normalized name.
+ */
+function normalizeName(sName) {
+    return path.normalize(sName).replace(/\\/g, "/");
+}
+
+defaultLoader = createLoader();
+plugin = requireAmd(path.join(__dirname, "view.js"));
+
+module.exports = {
+
+    // The plugin API object
+    plugin: plugin,
+
+    createLoader: createLoader,
+
+    /**
+     * Loads the specified view from the file system, processes its directives and makes inclusions.
+     *
+     * @param {String} sName
+     *      Name of the view. Can contain settings after <code>!</code> separator.
+     * @param {Object} [options]
+     *      Loading options. See {@link #createLoader}. Besides the fields the object can have
+     *      <code>data</code> field containing data that should be used to process the view (see <code>render</code> method of the plugin).
+     * @param {Function} [callback]
+     *      Node-style function that should be called when processing is finished.
+     *      An error or <code>null</code> is passed as the first parameter, the result is passed as the second parameter.
+     * @return {Promise | undefined}
+     *      Promise that will be resolved with the result when processing is finished
+     *      or <code>undefined</code> when callback is passed.
+     *      The result is an object with the following fields (name - type - description):
+     *      <ul>
+     *      <li>html - String - assembled HTML
+     *      <li>css - Array - names of found CSS-files (including plugin prefix)
+     *      <li>modules - Array - names of other found dependencies
+     *      </ul>
+     */
+    load: function(sName, options, callback) {
+        var loader;
+        if (typeof options === "function") {
+            callback = options;
+            options = null;
+        }
+        options = getOptions(options);
+        loader = createLoader(options);
+        return settle(function(resolve, reject) {
+                var onLoad = function(sText) {
+                    resolve({
+                        html: String(sText),
+                        css: loader.css,
+                        modules: loader.modules
+                    });
+                };
+                onLoad.error = reject;
+                loader.loadView(normalizeName(sName), onLoad);
+            },
+            callback);
+    },
+
+    /**
+     * Walks the specified view and its included views and builds graph of dependencies.
+     *
+     * @param {String} sName
+     *      Name of the view. Can contain settings after <code>!</code> separator.
+     * @param {Object} [options]
+     *      Processing options. See {@link #load}.
+     * @param {Function} [callback]
+     *      Node-style function that should be called when the graph is built.
+     * @return {Promise | undefined}
+     *      Promise that will be resolved with the graph or <code>undefined</code> when callback is passed.
+     *      See <code>graph</code> method of the plugin for description of the graph.
+     */
+    graph: function(sName, options, callback) {
+        if (typeof options === "function") {
+            callback = options;
+            options = null;
+        }
+        options = getOptions(options);
+        return settle(function(resolve, reject) {
+                var onBuild = function(graph) {
+                    resolve(graph);
+                };
+                onBuild.error = reject;
+                plugin.graph(normalizeName(sName), createLoader(options), onBuild, options.config);
+            },
+            callback);
+    }
+
+};
@@ -0,0 +1,91 @@
+"use strict";
+
+var test = require("node:test"),
+    assert = require("assert"),
+    path = require("path"),
+    view = require("../node"),
+    sBaseUrl = path.join(__dirname, "fixtures", "async");
+
+function load(greet, config) {
+    return view.load("main", {
+        baseUrl: sBaseUrl,
+        config: config,
+        plugins: {
+            fn: {
+                load: function(sName, req, onLoad) {
+                    onLoad(greet);
+                }
+            }
+        }
+    });
+}
+
+test("inclusion can return Promise", function() {
+    return load(function(data) {
+            return Promise.resolve("Hi, " + data.name);
+        })
+        .then(function(result) {
+            assert.strictEqual(result.html, "<p>Hi, Ann</p>");
+        });
+});
+
+test("inclusion marked as asynchronous gets callback", function() {
+    function greet(data, callback) {
+        setTimeout(function() {
+            callback(null, "Hello, " + data.name);
+        }, 10);
+    }
+    greet.async = true;
+    return load(greet).then(function(result) {
+        assert.strictEqual(result.html, "<p>Hello, Ann</p>");
+    });
+});
+
+test("object marked as asynchronous gets callback in execute method", function() {
+    return load({
+            async: true,
+            execute: function(data, callback) {
+                callback(null, "Hey, " + data.name);
+            }
+        })
+        .then(function(result) {
+            assert.strictEqual(result.html, "<p>Hey, Ann</p>");
+        });
+});
+
+test("inclusion declared with callback parameter is synchronous unless it is marked", function() {
+    return load(function(data, callback, context) {
+            assert.strictEqual(callback, null);
+            assert.strictEqual(context.view, "main.html");
+        })
+        .then(function(result) {
+            assert.strictEqual(result.html, "<p>undefined</p>");
+        });
+});
+
+test("asynchronous inclusion that is not made in time leads to failure", function() {
+    function greet() {}
+    greet.async = true;
+    return load(greet, {inclusionTimeout: 20}).then(
+        function() {
+            assert.fail("loading should fail");
+        },
+        function(err) {
+            assert.ok(/greet/.test(err.message), err.message);
+            assert.ok(/20 ms/.test(err.cause.message), err.cause.message);
+        });
+});
+
+test("error passed into callback leads to failure", function() {
+    function greet(data, callback) {
+        callback(new Error("no greeting"));
+    }
+    greet.async = true;
+    return load(greet).then(
+        function() {
+            assert.fail("loading should fail");
+        },
+        function(err) {
+            assert.strictEqual(err.cause.message, "no greeting");
+        });
+});
@@ -0,0 +1,157 @@
+"use strict";
+
+var test = require("node:test"),
+    assert = require("assert"),
+    path = require("path"),
+    view = require("../node"),
+    plugin = view.plugin,
+    sBaseUrl = path.join(__dirname, "fixtures", "build");
+
+function build(sName) {
+    return view.load(sName, {
+            baseUrl: sBaseUrl,
+            config: {isBuild: true},
+            plugins: {
+                fn: {
+                    load: function(sResource, req, onLoad) {
+                        onLoad(function() {
+                            return "<b>widget</b>";
+                        });
+                    }
+                }
+            }
+        })
+        .then(function() {
+            var result = {};
+            function write() {}
+            write.asModule = function(sModule, sCode) {
+                result.name = sModule;
+                result.code = sCode;
+            };
+            plugin.write("view", sName, write);
+            /*jshint evil:true*/
+            new Function("define", result.code)(function(sModule, depList, factory) {
+                result.deps = depList;
+                result.factory = factory;
+            });
+            return result;
+        });
+}
+
+test("inclusions whose contents are available as text are made during build", function() {
+    return build("main").then(function(result) {
+        assert.strictEqual(result.name, "view!main");
+        assert.deepStrictEqual(result.deps, ["css!main.css", "lib/item"]);
+        assert.strictEqual(result.factory.length, 0);
+        assert.strictEqual(result.factory(), "<h1>Main</h1><ul><li>Item</li></ul>");
+    });
+});
+
+test("layout is applied during build", function() {
+    return build("page").then(function(result) {
+        assert.deepStrictEqual(result.deps, ["lib/item"]);
+        assert.strictEqual(result.factory(), "<body><li>Item</li></body>");
+    });
+});
+
+test("functional inclusion leads to making of inclusions at run time", function() {
+    return build("dynamic").then(function(result) {
+        assert.deepStrictEqual(result.deps, ["view", "require", "fn!widget.html", "view!parts/item.html"]);
+        assert.ok(/plugin\.makeInclusions/.test(result.code));
+    });
+});
+
+function getCramBuilder() {
+    var builder;
+    /*jshint evil:true*/
+    new Function("define", require("fs").readFileSync(path.join(__dirname, "..", "cram", "view.js"), "utf8"))(
+        function(depList, factory) {
+            builder = factory(plugin);
+        });
+    return builder;
+}
+
+test("cram.js builder reads view by resolved URL and writes module", function() {
+    var readList = [],
+        sCode = null;
+    getCramBuilder().compile("view", "parts/item", 
+        {
+            toUrl: function(sName) {
+                return "/base/" + sName;
+            }
+        },
+        {
+            read: function(sUrl, callback) {
+                readList.push(sUrl);
+                callback("<li>Item</li>");
+            },
+            write: function(sContent) {
+                sCode = sContent;
+            },
+            error: function(err) {
+                assert.fail(err);
+            }
+        },
+        {});
+    assert.deepStrictEqual(readList, ["/base/parts/item.html"]);
+    assert.ok(/^define\("view!parts\/item"/.test(sCode), sCode);
+});
+
+test("cram.js builder passes errors of settings and parsing into io.error", function() {
+    var errorList = [],
+        io = {
+            read: function(sUrl, callback) {
+                callback("<p>text</p>");
+            },
+            write: function() {
+                assert.fail("nothing should be written");
+            },
+            error: function(err) {
+                errorList.push(err);
+            }
+        },
+        req = {
+            toUrl: function(sName) {
+                return sName;
+            }
+        };
+    getCramBuilder().compile("view", "main!result=json", req, io, {});
+    getCramBuilder().compile("view", "main", req, io, {
+        parse: function() {
+            throw new Error("parse failure");
+        }
+    });
+    assert.strictEqual(errorList.length, 2);
+    assert.ok(/result/.test(errorList[0].message), errorList[0].message);
+    assert.strictEqual(errorList[1].message, "parse failure");
+});
+
+test("views are built into bundle by r.js", function(t, done) {
+    var sRoot = path.join(__dirname, ".."),
+        requirejs = require("requirejs");
+    requirejs.optimize({
+            baseUrl: path.join(sBaseUrl, "rjs"),
+            name: "app",
+            optimize: "none",
+            logLevel: 4,
+            paths: {
+                view: path.join(sRoot, "view"),
+                util: path.join(sRoot, "util"),
+                text: path.join(sRoot, "examples", "lib", "text")
+            },
+            stubModules: ["view"],
+            out: function(sCode) {
+                var moduleMap = {};
+                /*jshint evil:true*/
+                new Function("define", sCode)(function(sModule, depList, factory) {
+                    moduleMap[sModule] = {deps: depList, factory: factory};
+                });
+                assert.deepStrictEqual(moduleMap["view!main"].deps, ["css!main.css", "lib/item"]);
+                assert.strictEqual(moduleMap["view!main"].factory(), "<body><ul><li>Item</li></ul>Footer</body>");
+                assert.strictEqual(moduleMap["view!parts/item.html"].factory(), "<li>Item</li>");
+                done();
+            }
+        },
+        function() {},
+        done);
+});
@@ -0,0 +1,56 @@
+"use strict";
+
+var test = require("node:test"),
+    assert = require("assert"),
+    childProcess = require("child_process"),
+    fs = require("fs"),
+    os = require("os"),
+    path = require("path"),
+    sBin = path.join(__dirname, "..", "bin", "amd-view.js"),
+    sSource = path.join(__dirname, "fixtures", "cli");
+
+function run(argList) {
+    return childProcess.spawnSync(process.execPath, [sBin].concat(argList), {encoding: "utf8"});
+}
+
+function evalModule(sCode) {
+    var result = {};
+    /*jshint evil:true*/
+    new Function("define", sCode)(function(depList, factory) {
+        result.deps = depList;
+        result.value = factory();
+    });
+    return result;
+}
+
+test("package.json declares amd-view command", function() {
+    var pkg = JSON.parse(fs.readFileSync(path.join(__dirname, "..", "package.json"), "utf8"));
+    assert.strictEqual(pkg.bin["amd-view"], "bin/amd-view.js");
+});
+
+test("compile writes assembled views as AMD modules", function() {
+    var sOut = fs.mkdtempSync(path.join(os.tmpdir(), "amd-view-")),
+        proc = run(["compile", sSource, "--out", sOut]),
+        module;
+    assert.strictEqual(proc.status, 0, proc.stderr);
+    module = evalModule(fs.readFileSync(path.join(sOut, "main.js"), "utf8"));
+    assert.strictEqual(module.value, "<h1>Main</h1><li>Item</li>\n");
+    assert.deepStrictEqual(module.deps, ["css!main.css", "lib/util"]);
+    assert.ok(fs.existsSync(path.join(sOut, "parts", "item.js")));
+});
+
+test("graph prints dependencies of the view", function() {
+    var proc = run(["graph", "main", "--base", sSource]),
+        graph;
+    assert.strictEqual(proc.status, 0, proc.stderr);
+    graph = JSON.parse(proc.stdout);
+    assert.deepStrictEqual(graph.edges.map(function(edge) {
+        return edge.from + " -> " + edge.to;
+    }), ["main.html -> css!main.css", "main.html -> parts/item.html", "parts/item.html -> lib/util"]);
+});
+
+test("invalid arguments lead to usage message and failure", function() {
+    var proc = run(["unknown", "x"]);
+    assert.strictEqual(proc.status, 1);
+    assert.ok(/Usage/.test(proc.stderr));
+});
@@ -0,0 +1,41 @@
+"use strict";
+
+var test = require("node:test"),
+    assert = require("assert"),
+    path = require("path"),
+    view = require("../node");
+
+test("context object is passed into functional inclusion", function() {
+    var contextList = [];
+    return view.load("pages/main", {
+            baseUrl: path.join(__dirname, "fixtures", "context"),
+            config: {interpolate: true},
+            plugins: {
+                fn: {
+                    load: function(sResource, req, onLoad) {
+                        onLoad(function(data, callback, context) {
+                            contextList.push(context);
+                            return "";
+                        });
+                    }
+                }
+            }
+        })
+        .then(function() {
+            var context = contextList.filter(function(item) {
+                    return item.view === "pages/main.html";
+                })[0],
+                nestedContext = contextList.filter(function(item) {
+                    return item.view === "pages/part.html";
+                })[0];
+            assert.strictEqual(contextList.length, 2);
+            assert.strictEqual(context.depth, 1);
+            assert.strictEqual(context.tag, '<link rel="include" href="fn!probe" data-a="1" title="T">');
+            assert.deepStrictEqual(context.attrMap, {rel: "include", href: "fn!probe", "data-a": "1", title: "T"});
+            assert.strictEqual(context.settings.interpolate, true);
+            assert.strictEqual(context.settings.viewName, "pages/main.html");
+            assert.strictEqual(context.require.toUrl("./sibling"), "pages/sibling");
+            assert.strictEqual(context.require.toUrl("../shared/item"), "shared/item");
+            assert.strictEqual(nestedContext.depth, 2);
+        });
+});
@@ -0,0 +1,31 @@
+"use strict";
+
+var test = require("node:test"),
+    assert = require("assert"),
+    path = require("path"),
+    view = require("../node"),
+    sBaseUrl = path.join(__dirname, "fixtures", "cycle");
+
+function expectCycle(sName, chain) {
+    return view.load(sName, {baseUrl: sBaseUrl}).then(
+        function() {
+            assert.fail("loading should fail");
+        },
+        function(err) {
+            var cause = err;
+            assert.ok(err.message.indexOf("circular inclusion " + chain.join(" -> ")) > -1, err.message);
+            // Error of included view is the cause of error of including view
+            while (cause && ! cause.chain) {
+                cause = cause.cause;
+            }
+            assert.deepStrictEqual(cause.chain, chain);
+        });
+}
+
+test("transitive inclusion of the view leads to failure with the chain", function() {
+    return expectCycle("main", ["main.html", "part.html", "main.html"]);
+});
+
+test("view including itself leads to failure", function() {
+    return expectCycle("self", ["self.html", "self.html"]);
+});
@@ -0,0 +1,63 @@
+"use strict";
+
+var test = require("node:test"),
+    assert = require("assert"),
+    path = require("path"),
+    view = require("../node"),
+    sBaseUrl = path.join(__dirname, "fixtures", "data");
+
+function load(sName, data) {
+    return view.load(sName, {
+        baseUrl: sBaseUrl,
+        data: data,
+        plugins: {
+            fn: {
+                load: function(sResource, req, onLoad) {
+                    onLoad(function(inclData, callback, context) {
+                        return context.depth;
+                    });
+                }
+            }
+        }
+    });
+}
+
+test("loaded data is available in included views", function() {
+    return load("b").then(function(result) {
+        assert.strictEqual(result.html, "B:2");
+    });
+});
+
+test("concurrent loads of views including the same view do not share data", function() {
+    return Promise.all([load("a"), load("b")]).then(function(resultList) {
+        assert.strictEqual(resultList[0].html, "A:2");
+        assert.strictEqual(resultList[1].html, "B:2");
+    });
+});
+
+test("concurrent loads do not affect nesting depth of each other", function() {
+    return Promise.all([load("a"), load("part", {info: {first: false}})]).then(function(resultList) {
+        assert.strictEqual(resultList[0].html, "A:2");
+        assert.strictEqual(resultList[1].html, "B:1");
+    });
+});
+
+test("view included several times in one load is loaded once", function() {
+    var nCount = 0,
+        plugin = view.plugin,
+        pluginLoad = plugin.load;
+    plugin.load = function(sName) {
+        if (/^part\b/.test(sName)) {
+            nCount++;
+        }
+        return pluginLoad.apply(this, arguments);
+    };
+    return load("twice", {info: {first: true}})
+        .then(function(result) {
+            assert.strictEqual(result.html, "A:2|A:2");
+            assert.strictEqual(nCount, 1);
+        })
+        .finally(function() {
+            plugin.load = pluginLoad;
+        });
+});
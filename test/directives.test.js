@@ -0,0 +1,40 @@
+"use strict";
+
+var test = require("node:test"),
+    assert = require("assert"),
+    path = require("path"),
+    view = require("../node"),
+    plugin = view.plugin,
+    messageMap = {greeting: "Hello"};
+
+plugin.registerDirective("i18n", function(data) {
+    return {text: messageMap[data.attrMap.key] || ""};
+}, "key");
+plugin.registerDirective("JSON", function(data) {
+    return {dependency: "json!" + data.resource + ".json"};
+});
+plugin.registerDirective("widget", function(data) {
+    assert.strictEqual(data.type, "widget");
+    assert.strictEqual(data.tagText, '<link rel="widget" href="./card" data-title="T">');
+    var sDep = "view!" + data.resource + ".html";
+    return {dependency: sDep, inclusion: {name: sDep, data: {title: data.attrMap["data-title"]}}};
+});
+
+test("registered directives are processed by their handlers", function() {
+    return view.load("main", {baseUrl: path.join(__dirname, "fixtures", "directives"), config: {interpolate: true}})
+        .then(function(result) {
+            assert.strictEqual(result.html, "<h1>Hello</h1><b>T</b>");
+            assert.deepStrictEqual(result.modules, ["json!config.json"]);
+        });
+});
+
+test("registered directive can replace built-in directive", function() {
+    plugin.registerDirective("stylesheet", function(data) {
+        return {dependency: "style!" + data.resource};
+    });
+    return view.load("styled", {baseUrl: path.join(__dirname, "fixtures", "directives")})
+        .then(function(result) {
+            assert.strictEqual(result.html, "Styled");
+            assert.deepStrictEqual(result.modules, ["style!a.css"]);
+        });
+});
@@ -0,0 +1,33 @@
+"use strict";
+
+var test = require("node:test"),
+    assert = require("assert"),
+    path = require("path"),
+    view = require("../node"),
+    sBaseUrl = path.join(__dirname, "fixtures", "each");
+
+function load(sName, data) {
+    return view.load(sName, {baseUrl: sBaseUrl, config: {interpolate: true}, data: data});
+}
+
+test("inclusion is repeated for each item of collection", function() {
+    return load("main", {users: [{name: "Ann"}, {name: "Bob"}]}).then(function(result) {
+        assert.strictEqual(result.html, '<ul><li class="row">0. Ann</li><li class="row">1. Bob</li></ul>');
+    });
+});
+
+test("directive is deleted when collection is empty", function() {
+    return load("main", {users: []}).then(function(result) {
+        assert.strictEqual(result.html, "<ul></ul>");
+    });
+});
+
+test("value that is not an array leads to failure", function() {
+    return load("bad", {count: 3}).then(
+        function() {
+            assert.fail("loading should fail");
+        },
+        function(err) {
+            assert.strictEqual(err.tag, '<x-link rel="include" href="row" data-each="count">');
+        });
+});
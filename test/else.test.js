@@ -0,0 +1,43 @@
+"use strict";
+
+var test = require("node:test"),
+    assert = require("assert"),
+    path = require("path"),
+    view = require("../node"),
+    sBaseUrl = path.join(__dirname, "fixtures", "condition");
+
+function load(flags) {
+    return view.load("main", {
+        baseUrl: sBaseUrl,
+        data: {flags: flags},
+        plugins: {
+            fn: {
+                load: function(sResource, req, onLoad) {
+                    onLoad(function(data) {
+                        return "Widget " + data.label;
+                    });
+                }
+            }
+        }
+    });
+}
+
+test("inclusion is made when condition is true", function() {
+    return load({fresh: true}).then(function(result) {
+        assert.strictEqual(result.html, "New|New|Old");
+    });
+});
+
+test("alternative resource is included when condition is false", function() {
+    return load({fresh: false}).then(function(result) {
+        assert.strictEqual(result.html, "Old||Widget x");
+    });
+});
+
+test("dependency graph contains alternative resources of failed conditions", function() {
+    return view.graph("main", {baseUrl: sBaseUrl, data: {flags: {fresh: true}}}).then(function(graph) {
+        assert.deepStrictEqual(graph.edges.map(function(edge) {
+            return edge.to;
+        }), ["new.html", "new.html", "old.html"]);
+    });
+});
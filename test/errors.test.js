@@ -0,0 +1,59 @@
+"use strict";
+
+var test = require("node:test"),
+    assert = require("assert"),
+    path = require("path"),
+    view = require("../node"),
+    sBaseUrl = path.join(__dirname, "fixtures", "errors");
+
+function expectError(sName, check) {
+    return view.load(sName, {
+            baseUrl: sBaseUrl,
+            plugins: {
+                fn: {
+                    load: function(sResource, req, onLoad) {
+                        onLoad(function() {
+                            throw new Error("inclusion failure");
+                        });
+                    }
+                }
+            }
+        })
+        .then(
+            function() {
+                assert.fail("loading should fail");
+            },
+            check);
+}
+
+test("missing view leads to failure", function() {
+    return expectError("unknown", function(err) {
+        assert.strictEqual(err.view, "unknown.html");
+        assert.strictEqual(err.tag, null);
+        assert.strictEqual(err.cause.code, "ENOENT");
+    });
+});
+
+test("failure of inclusion dependency names the directive", function() {
+    return expectError("missing", function(err) {
+        assert.strictEqual(err.view, "missing.html");
+        assert.strictEqual(err.tag, '<link rel="include" href="absent">');
+        assert.strictEqual(err.cause.view, "absent.html");
+    });
+});
+
+test("exception of functional inclusion is passed with the directive and the cause", function() {
+    return expectError("throwing", function(err) {
+        assert.strictEqual(err.view, "throwing.html");
+        assert.strictEqual(err.tag, '<link rel="include" href="fn!broken" data-x="1">');
+        assert.strictEqual(err.cause.message, "inclusion failure");
+    });
+});
+
+test("invalid condition leads to failure", function() {
+    return expectError("condition", function(err) {
+        assert.strictEqual(err.view, "condition.html");
+        assert.strictEqual(err.tag, '<link rel="include" href="part2" data-if="a +">');
+        assert.ok(err.cause instanceof Error);
+    });
+});
@@ -0,0 +1,56 @@
+"use strict";
+
+var test = require("node:test"),
+    assert = require("assert"),
+    path = require("path"),
+    view = require("../node"),
+    expression = view.plugin.util.expression,
+    sBaseUrl = path.join(__dirname, "fixtures", "expression");
+
+test("expression supports literals, operators and property paths", function() {
+    var scope = {a: 5, list: [1, 2], obj: {name: "x", "key-1": true}};
+    assert.strictEqual(expression.evaluate("a < 10 && a >= 5", scope), true);
+    assert.strictEqual(expression.evaluate("a * 2 + list[1] - (3 % 2)", scope), 11);
+    assert.strictEqual(expression.evaluate("obj.name === 'x' ? \"yes\" : 'no'", scope), "yes");
+    assert.strictEqual(expression.evaluate("obj[\"key-1\"] || false", scope), true);
+    assert.strictEqual(expression.evaluate("! unknown && -a === -5", scope), true);
+    assert.strictEqual(expression.evaluate("unknown.field", scope), undefined);
+    assert.strictEqual(expression.evaluate("null == undefined", scope), true);
+});
+
+test("expression can not access internal fields or call functions", function() {
+    assert.strictEqual(expression.evaluate("obj.constructor", {obj: {}}), undefined);
+    assert.strictEqual(expression.evaluate("obj.__proto__", {obj: {}}), undefined);
+    assert.throws(function() {
+        expression.evaluate("alert(1)", {});
+    });
+    assert.throws(function() {
+        expression.evaluate("a = 1", {});
+    });
+});
+
+test("data-if is evaluated without eval by default", function() {
+    return Promise.all([
+            view.load("main", {baseUrl: sBaseUrl, data: {user: {age: 20, roles: ["admin"]}}}),
+            view.load("main", {baseUrl: sBaseUrl, data: {user: {age: 20, roles: ["guest"]}}}),
+            view.load("proto", {baseUrl: sBaseUrl})
+        ])
+        .then(function(resultList) {
+            assert.strictEqual(resultList[0].html, "Yes");
+            assert.strictEqual(resultList[1].html, "");
+            assert.strictEqual(resultList[2].html, "");
+        });
+});
+
+test("data-if can be eval'ed in eval mode", function() {
+    return view.load("eval", {
+            baseUrl: sBaseUrl, 
+            config: {
+                ifMode: "eval",
+                vars: {user: {age: 20, roles: ["admin"]}}
+            }
+        })
+        .then(function(result) {
+            assert.strictEqual(result.html, "Yes");
+        });
+});
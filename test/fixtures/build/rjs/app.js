@@ -0,0 +1,3 @@
+define(["view!main"], function(sHtml) {
+    return sHtml;
+});
@@ -0,0 +1,6 @@
+// Stub of CSS plugin: CSS-files are not needed to build views
+define({
+    load: function(sName, req, onLoad) {
+        onLoad();
+    }
+});
@@ -0,0 +1,47 @@
+"use strict";
+
+var test = require("node:test"),
+    assert = require("assert"),
+    path = require("path"),
+    view = require("../node"),
+    sBaseUrl = path.join(__dirname, "fixtures", "graph");
+
+function getGraph() {
+    return view.graph("main", {baseUrl: sBaseUrl});
+}
+
+test("graph contains nodes of all types and edges with directives", function() {
+    return getGraph().then(function(graph) {
+        var nodeMap = {};
+        graph.nodes.forEach(function(node) {
+            nodeMap[node.id] = node.type;
+        });
+        assert.deepStrictEqual(nodeMap, {
+            "main.html": "view",
+            "base.html": "view",
+            "css!main.css": "css",
+            "part.html": "view",
+            "fn!widget.html": "inclusion",
+            "lib/util": "require"
+        });
+        assert.deepStrictEqual(graph.edges.map(function(edge) {
+            return [edge.from, edge.to, edge.type, edge.tag];
+        }), [
+            ["main.html", "base.html", "layout", '<link rel="extends" href="base">'],
+            ["main.html", "css!main.css", "css", '<link rel="stylesheet" href="main.css">'],
+            ["main.html", "part.html", "inclusion", '<link rel="include" href="part">'],
+            ["main.html", "fn!widget.html", "inclusion", '<link rel="include" href="fn!widget">'],
+            ["part.html", "lib/util", "require", '<link rel="require" href="lib/util">']
+        ]);
+    });
+});
+
+test("graph can be converted into DOT format", function() {
+    return getGraph().then(function(graph) {
+        var sDot = view.plugin.graphToDot(graph);
+        assert.ok(/^digraph views \{\n/.test(sDot), sDot);
+        assert.ok(sDot.indexOf('    "main.html" [shape=box];\n') > -1, sDot);
+        assert.ok(sDot.indexOf('    "fn!widget.html" [shape=note];\n') > -1, sDot);
+        assert.ok(sDot.indexOf('    "main.html" -> "part.html" [label="<link rel=\\"include\\" href=\\"part\\">"];\n') > -1, sDot);
+    });
+});
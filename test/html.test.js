@@ -0,0 +1,50 @@
+"use strict";
+
+var test = require("node:test"),
+    assert = require("assert"),
+    path = require("path"),
+    view = require("../node"),
+    html = view.plugin.util.html;
+
+test("findTag skips comments, raw text elements and closing tags", function() {
+    var sText = '<!-- <link a> --><script>"<link b>"</script></link><textarea><link c></textarea><LINK d>',
+        tag = html.findTag(sText, 0, ["link"]);
+    assert.strictEqual(tag.name, "link");
+    assert.strictEqual(tag.position, sText.indexOf("<LINK d>"));
+    assert.strictEqual(tag.tagStart, "<LINK ");
+    assert.strictEqual(html.findTag("<linked><p>", 0, ["link"]), null);
+});
+
+test("findTagEnd skips quoted attribute values", function() {
+    var sText = '<link title="a > b" data-x=\'>\' href=x>';
+    assert.strictEqual(html.findTagEnd(sText, 5), sText.length - 1);
+    assert.strictEqual(html.findTagEnd('<link title="a', 5), -1);
+});
+
+test("findClosingTag takes nested tags into account", function() {
+    var sText = "<div><div></div><div/></div>end";
+    assert.strictEqual(html.findClosingTag(sText, 5, "DIV"), sText.indexOf("end") - 6);
+    assert.strictEqual(html.findClosingTag("<div>", 5, "div"), -1);
+});
+
+test("findClosingTag skips comments and raw text elements", function() {
+    var sText = '<x-include><!-- </x-include> --><script>"</x-include>"</script>'
+                + "<template><template></x-include></template></template></x-include>";
+    assert.strictEqual(html.findClosingTag(sText, 11, "x-include"), sText.length - 12);
+});
+
+test("paired inclusion is not closed by commented or scripted closing tag", function() {
+    return view.load("main", {baseUrl: path.join(__dirname, "fixtures", "html")}).then(function(result) {
+        assert.strictEqual(result.html, 
+                            '<div title="{{title}}"><!-- </x-include> --><script>var s = "</x-include>";</script><b>X</b></div>!');
+    });
+});
+
+test("names of tags and attributes are case-insensitive", function() {
+    assert.deepStrictEqual(view.plugin.util.string.extractAttributes(' REL="stylesheet" Href=d.css data-userName="x"'), 
+                            {rel: "stylesheet", href: "d.css", "data-username": "x"});
+    return view.load("upper", {baseUrl: path.join(__dirname, "fixtures", "html"), config: {interpolate: true}}).then(function(result) {
+        assert.strictEqual(result.html, '<div title="Upper">B</div>');
+        assert.deepStrictEqual(result.css, ["css!d.css"]);
+    });
+});
@@ -0,0 +1,44 @@
+"use strict";
+
+var test = require("node:test"),
+    assert = require("assert"),
+    path = require("path"),
+    view = require("../node"),
+    plugin = view.plugin;
+
+test("inheritable settings are added into names of included views", function() {
+    var settings = plugin.createSettings("main!cssLoader=link;inherit=cssLoader", {}, plugin),
+        result = settings.parse('<link rel="include" href="part"><link rel="include" href="view!other!cssLoader=style">', settings);
+    assert.deepStrictEqual(result.depList, [
+        "view!part.html!inherit=cssLoader;cssLoader=link", 
+        "view!other.html!cssLoader=style;inherit=cssLoader"
+    ]);
+});
+
+test("inherited settings are applied to nested views at any depth", function() {
+    return view.load("main!cssLoader=link;inherit=cssLoader", {baseUrl: path.join(__dirname, "fixtures", "inherit")})
+        .then(function(result) {
+            assert.strictEqual(result.html, "DeepOther");
+            assert.deepStrictEqual(result.css.sort(), ["link!deep.css", "link!main.css", "link!part.css", "style!other.css"]);
+        });
+});
+
+test("settings that can not be set in resource name can not be inherited", function() {
+    assert.throws(function() {
+        plugin.createSettings("main!inherit=parse", {}, plugin);
+    }, /setting parse can not be inherited/);
+});
+
+test("values containing separators of resource name can not be inherited", function() {
+    [["dontAddFileExt", "!\\.txt$", "!"], ["dontAddFileExt", "a;b", ";"]].forEach(function(item) {
+        var config = {inherit: [item[0]]},
+            settings;
+        config[item[0]] = item[1];
+        settings = plugin.createSettings("main", config, plugin);
+        assert.throws(function() {
+            settings.parse('<link rel="include" href="part">', settings);
+        }, function(e) {
+            return e.cause.message === "value of setting " + item[0] + " can not be inherited because it contains " + item[2];
+        });
+    });
+});
@@ -0,0 +1,45 @@
+"use strict";
+
+var test = require("node:test"),
+    assert = require("assert"),
+    path = require("path"),
+    view = require("../node"),
+    sBaseUrl = path.join(__dirname, "fixtures", "instances");
+
+test("each directive occurrence is processed with its own data while resource is loaded once", function() {
+    var nLoadCount = 0,
+        callList = [];
+    return view.load("main", {
+            baseUrl: sBaseUrl,
+            config: {interpolate: true},
+            plugins: {
+                fn: {
+                    load: function(sResource, req, onLoad) {
+                        nLoadCount++;
+                        onLoad(function(data) {
+                            callList.push(data.n);
+                            return "[" + data.n + "]";
+                        });
+                    }
+                }
+            }
+        })
+        .then(function(result) {
+            assert.strictEqual(result.html, "<ul><li>a</li><li>b</li><li>c</li></ul>[1][2]");
+            assert.strictEqual(nLoadCount, 1);
+            assert.deepStrictEqual(callList.sort(), ["1", "2"]);
+        });
+});
+
+test("parse describes each directive occurrence separately", function() {
+    var plugin = view.plugin,
+        settings = plugin.createSettings("main", {}, plugin),
+        result = settings.parse('<link rel="include" href="row" data-name="a"><link rel="include" href="row" data-name="b">', 
+                                settings),
+        idList = Object.keys(result.inclusionMap);
+    assert.strictEqual(idList.length, 2);
+    assert.deepStrictEqual(idList.map(function(sId) {
+        return result.inclusionMap[sId].data.name;
+    }).sort(), ["a", "b"]);
+    assert.deepStrictEqual(result.depList, ["view!row.html"]);
+});
@@ -0,0 +1,30 @@
+"use strict";
+
+var test = require("node:test"),
+    assert = require("assert"),
+    path = require("path"),
+    view = require("../node"),
+    interpolate = view.plugin.util.string.interpolate;
+
+test("placeholders are replaced by escaped and raw values", function() {
+    assert.strictEqual(interpolate("{{a}} {{{a}}} {{b.c}} {{d}}", {a: "<i>", b: {c: 1}}), "&lt;i&gt; <i> 1 ");
+});
+
+test("internal fields can not be accessed", function() {
+    var data = Object.create({inherited: "x"});
+    data.a = {};
+    assert.strictEqual(interpolate("[{{constructor}}][{{a.__proto__}}][{{a.constructor.name}}][{{prototype}}]", data), 
+                        "[][][][]");
+    assert.strictEqual(interpolate("[{{inherited}}][{{a.toString}}]", data), "[][]");
+    // JSON can contain own __proto__ field
+    assert.strictEqual(interpolate("[{{b.__proto__.c}}]", {b: JSON.parse('{"__proto__": {"c": 1}}')}), "[]");
+});
+
+test("inclusion text is interpolated by data of the directive and vars", function() {
+    return view.load("main", {
+        baseUrl: path.join(__dirname, "fixtures", "interpolation"),
+        config: {interpolate: true, dontAddFileExt: "\\.txt$", vars: {site: {title: "Site"}}}
+    }).then(function(result) {
+        assert.strictEqual(result.html, "Hello, &lt;Bob&gt; / <Bob> / Site / !");
+    });
+});
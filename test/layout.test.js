@@ -0,0 +1,36 @@
+"use strict";
+
+var test = require("node:test"),
+    assert = require("assert"),
+    path = require("path"),
+    view = require("../node"),
+    sBaseUrl = path.join(__dirname, "fixtures", "layout");
+
+test("blocks of the view fill slots of the layout", function() {
+    return view.load("pages/index", {baseUrl: sBaseUrl}).then(function(result) {
+        // Opening tag that is not a directive is deleted, but content after the nested closing tag is retained
+        assert.strictEqual(result.html, 
+                            "<html><head><!--view-slot:head--></head><body><p>part</p>inner</x-link>after"
+                                + "<footer><!--view-slot:footer--></footer></body></html>");
+    });
+});
+
+test("block can contain directives and elements having the same tag and layout can extend layout", function() {
+    return view.load("pages/nested", {baseUrl: sBaseUrl, config: {directiveTag: ["link", "div"]}}).then(function(result) {
+        assert.strictEqual(result.html, 
+                            "<html><head><title>Two</title></head><body><nav>"
+                                + "deep</div></div>tail"
+                                + "</nav><footer><!--view-slot:footer--></footer></body></html>");
+    });
+});
+
+test("block without closing tag leads to failure", function() {
+    return view.load("pages/bad", {baseUrl: sBaseUrl}).then(
+        function() {
+            assert.fail("loading should fail");
+        },
+        function(err) {
+            assert.ok(/closing tag of layout block is not found/.test(err.message), err.message);
+            assert.strictEqual(err.tag, '<x-link rel="block" name="main">');
+        });
+});
@@ -0,0 +1,59 @@
+"use strict";
+
+var test = require("node:test"),
+    assert = require("assert"),
+    path = require("path"),
+    view = require("../node"),
+    sBaseUrl = path.join(__dirname, "fixtures", "node");
+
+test("dependencies loaded by plugins specified in cssLoader setting are collected as CSS-files", function() {
+    return view.load("main", {
+                baseUrl: sBaseUrl,
+                config: {
+                    cssLoader: "foo",
+                    rules: [
+                        {test: "^parts/", settings: {cssLoader: "style"}}
+                    ]
+                }
+            })
+        .then(function(result) {
+            assert.strictEqual(result.html, "<li>Item</li><p>Main</p>\n");
+            assert.deepStrictEqual(result.css, ["foo!main.css", "style!item.css", "link!plain.css"]);
+            assert.deepStrictEqual(result.modules, ["lib/util"]);
+        });
+});
+
+test("result is passed into node-style callback", function(t, done) {
+    view.load("main", {baseUrl: sBaseUrl}, function(err, result) {
+        assert.strictEqual(err, null);
+        assert.strictEqual(result.html, "<li>Item</li><p>Main</p>\n");
+        assert.deepStrictEqual(result.css, ["css!main.css", "css!item.css", "link!plain.css"]);
+        done();
+    });
+});
+
+test("missing view leads to error in callback", function(t, done) {
+    view.load("absent", {baseUrl: sBaseUrl}, function(err, result) {
+        assert.ok(err instanceof Error);
+        assert.strictEqual(result, undefined);
+        done();
+    });
+});
+
+test("data is available in conditions of the view", function() {
+    return view.load("cond", {baseUrl: sBaseUrl, data: {show: true}}).then(function(result) {
+        assert.strictEqual(result.html, "<li>Item</li>");
+    });
+});
+
+test("inclusion loaded by plugin that is not passed in plugins option leads to error", function() {
+    return view.load("json", {baseUrl: sBaseUrl}).then(
+        function() {
+            assert.fail("loading should fail");
+        },
+        function(err) {
+            assert.ok(/Module is not loaded: json!parts\/data\.html - plugin json is not passed in plugins option/.test(err.message), 
+                        err.message);
+        }
+    );
+});
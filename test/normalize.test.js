@@ -0,0 +1,34 @@
+"use strict";
+
+var test = require("node:test"),
+    assert = require("assert"),
+    path = require("path"),
+    view = require("../node"),
+    sBaseUrl = path.join(__dirname, "fixtures", "normalize");
+
+test("normalize keeps settings of resource name intact", function() {
+    var nameList = [];
+    assert.strictEqual(view.plugin.normalize("./part!cssLoader=link;inherit=a,b", function(sName) {
+        nameList.push(sName);
+        return "views/" + sName.substring(2);
+    }), "views/part!cssLoader=link;inherit=a,b");
+    assert.strictEqual(view.plugin.normalize("./part", function(sName) {
+        nameList.push(sName);
+        return "views/" + sName.substring(2);
+    }), "views/part");
+    assert.deepStrictEqual(nameList, ["./part", "./part"]);
+});
+
+test("relative names of inclusions are resolved against the including view with settings retained", function() {
+    return view.load("widgets/cart/main", {baseUrl: sBaseUrl}).then(function(result) {
+        assert.strictEqual(result.html, "<div><h2>Cart</h2><footer>Total: 5</footer></div>");
+    });
+});
+
+test("dependency graph contains resolved names", function() {
+    return view.graph("widgets/cart/main", {baseUrl: sBaseUrl}).then(function(graph) {
+        assert.deepStrictEqual(graph.edges.map(function(edge) {
+            return edge.to;
+        }), ["widgets/cart/header.html", "widgets/shared/footer.html", "widgets/shared/total.html"]);
+    });
+});
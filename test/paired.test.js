@@ -0,0 +1,28 @@
+"use strict";
+
+var test = require("node:test"),
+    assert = require("assert"),
+    path = require("path"),
+    view = require("../node");
+
+test("content of paired directive is passed to the inclusion after nested inclusions are made", function() {
+    return view.load("main", {
+            baseUrl: path.join(__dirname, "fixtures", "paired"),
+            config: {interpolate: true},
+            plugins: {
+                fn: {
+                    load: function(sResource, req, onLoad) {
+                        onLoad(function(data) {
+                            return "<span>" + data.content + "</span>";
+                        });
+                    }
+                }
+            }
+        })
+        .then(function(result) {
+            assert.strictEqual(result.html, 
+                                '<div class="panel"><h2>Cart</h2><p>Items</p>'
+                                    + '<div class="panel"><h2>Inner</h2><button>Buy</button></div></div>'
+                                    + "|<span><i>w</i></span>|");
+        });
+});
@@ -0,0 +1,53 @@
+"use strict";
+
+var test = require("node:test"),
+    assert = require("assert"),
+    path = require("path"),
+    plugin;
+
+// Loader of the plugin's render method resolves resources against the current working directory
+process.chdir(path.join(__dirname, "fixtures", "render"));
+plugin = require("../node").plugin;
+
+test("view is rendered with the given data", function() {
+    return plugin.render("greeting", {user: {admin: true}}).then(function(sHtml) {
+        assert.strictEqual(sHtml, "Admin");
+    });
+});
+
+test("nested view is rendered with data of each call", function() {
+    return plugin.render("page", {user: {admin: true}})
+        .then(function(sHtml) {
+            assert.strictEqual(sHtml, "<h1>Page</h1>Admin");
+            return plugin.render("page", {user: {admin: false}});
+        })
+        .then(function(sHtml) {
+            assert.strictEqual(sHtml, "<h1>Page</h1>Guest");
+        });
+});
+
+test("concurrent renders of the same nested view do not share data", function() {
+    return Promise.all([
+            plugin.render("page", {user: {admin: false}}),
+            plugin.render("page", {user: {admin: true}})
+        ])
+        .then(function(resultList) {
+            assert.deepStrictEqual(resultList, ["<h1>Page</h1>Guest", "<h1>Page</h1>Admin"]);
+        });
+});
+
+test("render passes result into callback", function(t, done) {
+    plugin.render("page", {user: {admin: true}}, function(err, sHtml) {
+        assert.strictEqual(err, null);
+        assert.strictEqual(sHtml, "<h1>Page</h1>Admin");
+        done();
+    });
+});
+
+test("failure of nested view is passed into callback", function(t, done) {
+    plugin.render("broken", {}, function(err) {
+        assert.ok(err instanceof Error);
+        assert.ok(/broken\.html/.test(err.message), err.message);
+        done();
+    });
+});
@@ -0,0 +1,83 @@
+"use strict";
+
+var test = require("node:test"),
+    assert = require("assert"),
+    path = require("path"),
+    view = require("../node"),
+    sBaseUrl = path.join(__dirname, "fixtures", "result");
+
+// Minimal document to create fragments
+global.document = {
+    createElement: function() {
+        var doc = this;
+        return {
+            content: {nodeType: 11, ownerDocument: doc},
+            set innerHTML(sHtml) {
+                this.content.html = sHtml;
+            }
+        };
+    },
+    importNode: function(node) {
+        return {nodeType: 11, ownerDocument: this, html: node.html};
+    }
+};
+
+function load(sName, sResult) {
+    return view.load(sName, {
+        baseUrl: sBaseUrl,
+        config: {
+            rules: [
+                {test: "^parts/", settings: {result: sResult}}
+            ]
+        }
+    });
+}
+
+function expectFailure(sName, sResult) {
+    return load(sName, sResult).then(
+        function() {
+            assert.fail("loading should fail");
+        },
+        function(err) {
+            assert.ok(/should have text or object result/.test(err.message), err.message);
+            assert.ok(/parts\/item\.html/.test(err.message), err.message);
+        });
+}
+
+test("view with object result can be included", function() {
+    return load("main", "object").then(function(result) {
+        assert.strictEqual(result.html, "<p>Main</p><li>Item</li>");
+    });
+});
+
+test("including view with fragment result leads to failure", function() {
+    return expectFailure("main", "fragment");
+});
+
+test("including view with factory result leads to failure", function() {
+    return expectFailure("main", "factory");
+});
+
+test("layout with fragment result leads to failure", function() {
+    return expectFailure("page", "fragment");
+});
+
+test("view with object result is represented by structured object", function(t, done) {
+    var plugin = view.plugin,
+        config = {},
+        onLoad = function(result) {
+            assert.strictEqual(result.html, "<div><li>Item</li></div>");
+            assert.strictEqual(String(result), result.html);
+            assert.deepStrictEqual(result.css, ["css!card.css"]);
+            assert.deepStrictEqual(result.modules, ["lib/card"]);
+            assert.strictEqual(result.name, "card.html");
+            assert.strictEqual(result.layout, null);
+            assert.strictEqual(result.inclusions.length, 1);
+            assert.strictEqual(result.inclusions[0].name, "view!parts/item.html");
+            assert.deepStrictEqual(result.inclusions[0].data, {n: "1"});
+            assert.strictEqual(result.inclusions[0].tag, '<link rel="include" href="parts/item" data-n="1">');
+            done();
+        };
+    onLoad.error = done;
+    plugin.load("card!result=object", view.createLoader({baseUrl: sBaseUrl, config: config}), onLoad, config);
+});
@@ -0,0 +1,70 @@
+"use strict";
+
+var test = require("node:test"),
+    assert = require("assert"),
+    path = require("path"),
+    view = require("../node"),
+    plugin = view.plugin,
+    config = {
+        directiveTag: ["x-use"],
+        rules: [
+            {test: /^legacy\//, settings: {cssLoader: "link", directiveTag: ["link"]}},
+            {test: "^legacy/part", settings: {interpolate: true}}
+        ]
+    };
+
+function load(sName) {
+    return view.load(sName, {baseUrl: path.join(__dirname, "fixtures", "rules"), config: config});
+}
+
+test("settings of matching rules are applied to the view and to included views", function() {
+    return Promise.all([load("legacy/page"), load("app/page")]).then(function(resultList) {
+        assert.strictEqual(resultList[0].html, "Legacy");
+        assert.deepStrictEqual(resultList[0].css, ["link!old.css", "link!part.css"]);
+        assert.strictEqual(resultList[1].html, '<link rel="stylesheet" href="ignored.css">Legacy');
+        assert.deepStrictEqual(resultList[1].css, ["css!new.css", "link!part.css"]);
+    });
+});
+
+test("settings are merged in order of configuration, rules and resource name", function() {
+    var settings = plugin.createSettings("legacy/part!cssLoader=css", config, plugin);
+    assert.strictEqual(settings.cssLoader, "css");
+    assert.deepStrictEqual(settings.directiveTag, ["link"]);
+    assert.strictEqual(settings.interpolate, true);
+    settings = plugin.createSettings("app/page", config, plugin);
+    assert.strictEqual(settings.cssLoader, "css");
+    assert.deepStrictEqual(settings.directiveTag, ["x-use"]);
+    assert.strictEqual(settings.interpolate, false);
+});
+
+test("rules are matched against names with file extension for loaded and included views", function() {
+    var nameList = [],
+        conf = {
+            rules: [
+                {
+                    test: function(sName) {
+                        nameList.push(sName);
+                        return false;
+                    },
+                    settings: {}
+                },
+                {test: /^legacy\/part\.html$/, settings: {cssLoader: "style"}}
+            ]
+        };
+    return Promise.all([
+        view.load("legacy/part", {baseUrl: path.join(__dirname, "fixtures", "rules"), config: conf}),
+        view.load("legacy/page", {baseUrl: path.join(__dirname, "fixtures", "rules"), config: conf})
+    ]).then(function(resultList) {
+        assert.deepStrictEqual(resultList[0].css, ["style!part.css"]);
+        assert.deepStrictEqual(resultList[1].css.sort(), ["css!old.css", "style!part.css"]);
+        assert.ok(nameList.indexOf("legacy/part.html") > -1);
+        assert.ok(nameList.indexOf("legacy/page.html") > -1);
+        assert.strictEqual(nameList.indexOf("legacy/part"), -1);
+    });
+});
+
+test("invalid rule leads to failure", function() {
+    assert.throws(function() {
+        plugin.createSettings("app/page", {rules: [{settings: {}}]}, plugin);
+    }, /setting rules/);
+});
@@ -0,0 +1,57 @@
+"use strict";
+
+var test = require("node:test"),
+    assert = require("assert"),
+    view = require("../node"),
+    plugin = view.plugin;
+
+function createSettings(sName, config) {
+    return plugin.createSettings(sName, config || {}, plugin);
+}
+
+test("settings in resource name are converted according to their types", function() {
+    var settings = createSettings("main!directiveTag=link, x-use;dontAddFileExt=\\.txt$;inclusionTimeout=50;"
+                                    + "interpolate=true;result=object;cssLoader=link");
+    assert.deepStrictEqual(settings.directiveTag, ["link", "x-use"]);
+    assert.ok(settings.dontAddFileExt instanceof RegExp);
+    assert.ok(settings.dontAddFileExt.test("a.txt"));
+    assert.strictEqual(settings.inclusionTimeout, 50);
+    assert.strictEqual(settings.interpolate, true);
+    assert.strictEqual(settings.result, "object");
+    assert.strictEqual(settings.cssLoader, "link");
+    assert.strictEqual(settings.viewName, "main.html");
+});
+
+test("settings of configuration are converted as well", function() {
+    var settings = createSettings("main", {directiveTag: "x-use", interpolate: "1"});
+    assert.deepStrictEqual(settings.directiveTag, ["x-use"]);
+    assert.strictEqual(settings.interpolate, true);
+});
+
+test("unknown and invalid settings are rejected with descriptive error", function() {
+    assert.throws(function() {
+        createSettings("main!colour=red");
+    }, /unknown setting colour/);
+    assert.throws(function() {
+        createSettings("main!parse=x");
+    }, /setting parse can not be set in resource name/);
+    assert.throws(function() {
+        createSettings("main!result=json");
+    }, /invalid value "json" of setting result - one of the following values is expected: text, object, fragment, factory/);
+    assert.throws(function() {
+        createSettings("main!inclusionTimeout=-1");
+    }, /invalid value "-1" of setting inclusionTimeout - non-negative number is expected/);
+    assert.throws(function() {
+        createSettings("main!interpolate=yes");
+    }, /true or false is expected/);
+});
+
+test("invalid setting in resource name leads to failure of loading", function() {
+    return view.load("main!result=json", {baseUrl: __dirname}).then(
+        function() {
+            assert.fail("loading should fail");
+        },
+        function(err) {
+            assert.ok(/invalid value "json" of setting result/.test(err.message), err.message);
+        });
+});
@@ -22,6 +22,42 @@ define({
     nameWithExt: function(name, defaultExt) {
         return defaultExt && name.lastIndexOf('.') <= name.lastIndexOf('/') ?
             name + '.' + defaultExt : name;
+    },
+    
+    /**
+     * Resolves relative file name (path) against the given base name.
+     * Only names that start with <code>./</code> or <code>../</code> are considered as relative.
+     * 
+     * @param {String} name
+     *      File name to process.
+     * @param {String} baseName
+     *      Name of the file against whose directory the relative name should be resolved.
+     * @return {String}
+     *      Resolved file name or the original name if it is not relative.
+     */
+    resolvePath: function(name, baseName) {
+        var path, part, partList, i, len;
+        if (name.indexOf('./') !== 0 && name.indexOf('../') !== 0) {
+            return name;
+        }
+        path = baseName ? baseName.split('/') : [];
+        path.pop();
+        partList = name.split('/');
+        for (i = 0, len = partList.length; i < len; i++) {
+            part = partList[i];
+            if (part === '..') {
+                if (path.length && path[path.length - 1] !== '..') {
+                    path.pop();
+                }
+                else {
+                    path.push(part);
+                }
+            }
+            else if (part !== '.') {
+                path.push(part);
+            }
+        }
+        return path.join('/');
     }
     
 });
@@ -0,0 +1,362 @@
+/**
+ * Evaluator of simple expressions that does not use eval.
+ *
+ * Licensed under the MIT License at:
+ *      http://www.opensource.org/licenses/mit-license.php
+ *
+ */
+
+
+define([], function() {
+"use strict";
+
+    /*
+     * Supported expressions:
+     *
+     * - literals: numbers, strings in single or double quotes, true, false, null, undefined
+     * - identifiers and property paths: name, name.field, name["field"], name[index]
+     * - unary operators: ! - +
+     * - binary operators: * / % + - < <= > >= == != === !== && ||
+     * - conditional operator: condition ? value1 : value2
+     * - grouping by parentheses
+     *
+     * Function calls and assignments are not supported.
+     * Identifiers are resolved in the scope object that is passed into evaluate function.
+     */
+
+    var
+        // Compiled expressions. Keys are expressions, values are corresponding syntax trees.
+        cache = {},
+        // RegExp to extract tokens
+        tokenRegExp = /\s*(?:(\d+(?:\.\d*)?(?:[eE][+\-]?\d+)?|\.\d+(?:[eE][+\-]?\d+)?)|([A-Za-z_$][\w$]*)|("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*')|(===|!==|==|!=|<=|>=|&&|\|\||[!<>+\-*\/%?:.()\[\]]))/g,
+        // RegExp to check that the rest of expression contains only whitespace
+        spaceRegExp = /^\s*$/,
+        // Names of properties that can not be accessed
+        // (RegExp is used because "__proto__" key of object literal sets prototype instead of a field)
+        forbiddenRegExp = /^(?:__proto__|constructor|prototype)$/,
+        // Values of keywords
+        keywordMap = {
+            "true": true,
+            "false": false,
+            "null": null,
+            "undefined": undefined
+        },
+        // Binary operators grouped by precedence (from lowest to highest)
+        binaryLevelList = [
+            ["||"],
+            ["&&"],
+            ["===", "!==", "==", "!="],
+            ["<", "<=", ">", ">="],
+            ["+", "-"],
+            ["*", "/", "%"]
+        ];
+
+    /**
+     * Converts escape sequences of string literal into the corresponding characters.
+     *
+     * @param {String} sValue
+     *      Content of string literal (without quotes).
+     * @return {String}
+     *      Processed string.
+     */
+    function unescapeString(sValue) {
+        return sValue.replace(/\\(u[\da-fA-F]{4}|x[\da-fA-F]{2}|.)/g, function(sMatch, sCode) {
+            switch (sCode.charAt(0)) {
+                case "n":
+                    return "\n";
+                case "r":
+                    return "\r";
+                case "t":
+                    return "\t";
+                case "u":
+                case "x":
+                    return sCode.length > 1
+                            ? String.fromCharCode(parseInt(sCode.substring(1), 16))
+                            : sCode;
+                default:
+                    return sCode;
+            }
+        });
+    }
+
+    /**
+     * Splits expression into tokens.
+     *
+     * @param {String} sExpression
+     *      Expression to process.
+     * @return {Array}
+     *      List of tokens. Each token is an object with the following fields:
+     *      <code>type</code> (<code>"number"</code>, <code>"name"</code>, <code>"string"</code>, <code>"operator"</code>),
+     *      <code>value</code> and <code>position</code>.
+     */
+    function tokenize(sExpression) {
+        var tokenList = [],
+            nEnd = 0,
+            match;
+        tokenRegExp.lastIndex = 0;
+        while (nEnd < sExpression.length && (match = tokenRegExp.exec(sExpression))) {
+            if (match.index !== nEnd) {
+                break;
+            }
+            nEnd = tokenRegExp.lastIndex;
+            if (match[1]) {
+                tokenList.push({type: "number", value: Number(match[1]), position: match.index});
+            }
+            else if (match[2]) {
+                tokenList.push({type: "name", value: match[2], position: match.index});
+            }
+            else if (match[3]) {
+                tokenList.push({type: "string", value: unescapeString(match[3].slice(1, -1)), position: match.index});
+            }
+            else {
+                tokenList.push({type: "operator", value: match[4], position: match.index});
+            }
+        }
+        if (! spaceRegExp.test(sExpression.substring(nEnd))) {
+            throw new Error("Unexpected character at position " + nEnd + " in expression: " + sExpression);
+        }
+        return tokenList;
+    }
+
+    /**
+     * Converts expression into syntax tree.
+     *
+     * @param {String} sExpression
+     *      Expression to process.
+     * @return {Object}
+     *      Syntax tree of the expression.
+     */
+    function compile(sExpression) {
+        var tokenList = tokenize(sExpression),
+            nPos = 0,
+            tree;
+
+        function fail(token) {
+            throw new Error(token
+                                ? "Unexpected token " + token.value + " at position " + token.position
+                                    + " in expression: " + sExpression
+                                : "Unexpected end of expression: " + sExpression);
+        }
+
+        function isOperator(sValue) {
+            var token = tokenList[nPos];
+            return Boolean(token) && token.type === "operator" && token.value === sValue;
+        }
+
+        function expect(sValue) {
+            if (! isOperator(sValue)) {
+                fail(tokenList[nPos]);
+            }
+            nPos++;
+        }
+
+        function parsePrimary() {
+            var token = tokenList[nPos++],
+                node;
+            if (! token) {
+                fail();
+            }
+            switch (token.type) {
+                case "number":
+                case "string":
+                    return {type: "literal", value: token.value};
+                case "name":
+                    return keywordMap.hasOwnProperty(token.value)
+                            ? {type: "literal", value: keywordMap[token.value]}
+                            : {type: "name", name: token.value};
+            }
+            if (token.value === "(") {
+                node = parseConditional();
+                expect(")");
+                return node;
+            }
+            fail(token);
+        }
+
+        function parseMember() {
+            var node = parsePrimary(),
+                token;
+            while (true) {
+                if (isOperator(".")) {
+                    nPos++;
+                    token = tokenList[nPos++];
+                    if (! token || token.type !== "name") {
+                        fail(token);
+                    }
+                    node = {type: "member", object: node, property: {type: "literal", value: token.value}};
+                }
+                else if (isOperator("[")) {
+                    nPos++;
+                    node = {type: "member", object: node, property: parseConditional()};
+                    expect("]");
+                }
+                else {
+                    return node;
+                }
+            }
+        }
+
+        function parseUnary() {
+            var token = tokenList[nPos];
+            if (token && token.type === "operator" && (token.value === "!" || token.value === "-" || token.value === "+")) {
+                nPos++;
+                return {type: "unary", operator: token.value, argument: parseUnary()};
+            }
+            return parseMember();
+        }
+
+        function parseBinary(nLevel) {
+            var operatorList = binaryLevelList[nLevel],
+                node, token;
+            if (! operatorList) {
+                return parseUnary();
+            }
+            node = parseBinary(nLevel + 1);
+            while ((token = tokenList[nPos]) && token.type === "operator" && indexOf(operatorList, token.value) > -1) {
+                nPos++;
+                node = {type: "binary", operator: token.value, left: node, right: parseBinary(nLevel + 1)};
+            }
+            return node;
+        }
+
+        function parseConditional() {
+            var node = parseBinary(0),
+                thenNode;
+            if (isOperator("?")) {
+                nPos++;
+                thenNode = parseConditional();
+                expect(":");
+                node = {type: "conditional", test: node, then: thenNode, otherwise: parseConditional()};
+            }
+            return node;
+        }
+
+        tree = parseConditional();
+        if (nPos < tokenList.length) {
+            fail(tokenList[nPos]);
+        }
+        return tree;
+    }
+
+    /**
+     * Returns index of the given value in the array.
+     *
+     * @param {Array} list
+     *      Array to search in.
+     * @param {Any} value
+     *      Value to search for.
+     * @return {Integer}
+     *      Index of the value or <code>-1</code> if the value is not found.
+     */
+    function indexOf(list, value) {
+        for (var nI = 0, nL = list.length; nI < nL; nI++) {
+            if (list[nI] === value) {
+                return nI;
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * Calculates value of the syntax tree node.
+     *
+     * @param {Object} node
+     *      Node to process.
+     * @param {Object} scope
+     *      Values of identifiers.
+     * @return {Any}
+     *      Value of the node.
+     */
+    function calculate(node, scope) {
+        var left, right, value;
+        switch (node.type) {
+            case "literal":
+                return node.value;
+            case "name":
+                return scope && Object.prototype.hasOwnProperty.call(scope, node.name)
+                        ? scope[node.name]
+                        : undefined;
+            case "member":
+                value = calculate(node.object, scope);
+                right = String(calculate(node.property, scope));
+                return value == null || forbiddenRegExp.test(right)
+                        ? undefined
+                        : value[right];
+            case "unary":
+                value = calculate(node.argument, scope);
+                return node.operator === "!"
+                        ? ! value
+                        : (node.operator === "-" ? - value : + value);
+            case "conditional":
+                return calculate(node.test, scope)
+                        ? calculate(node.then, scope)
+                        : calculate(node.otherwise, scope);
+        }
+        // Binary operator
+        left = calculate(node.left, scope);
+        switch (node.operator) {
+            case "&&":
+                return left && calculate(node.right, scope);
+            case "||":
+                return left || calculate(node.right, scope);
+        }
+        right = calculate(node.right, scope);
+        switch (node.operator) {
+            case "===":
+                return left === right;
+            case "!==":
+                return left !== right;
+            case "==":
+                return left == right;
+            case "!=":
+                return left != right;
+            case "<":
+                return left < right;
+            case "<=":
+                return left <= right;
+            case ">":
+                return left > right;
+            case ">=":
+                return left >= right;
+            case "+":
+                return left + right;
+            case "-":
+                return left - right;
+            case "*":
+                return left * right;
+            case "/":
+                return left / right;
+            case "%":
+                return left % right;
+        }
+    }
+
+    return {
+
+        compile: compile,
+
+        /**
+         * Calculates value of the given expression.
+         * Identifiers in the expression are resolved in the scope object: an identifier is a field name of the object.
+         * Value of unknown identifier is <code>undefined</code>. Fields <code>__proto__</code>, <code>constructor</code>
+         * and <code>prototype</code> can not be accessed.
+         *
+         * @param {String} sExpression
+         *      Expression to evaluate.
+         * @param {Object} [scope]
+         *      Values of identifiers. Keys are identifiers, values are corresponding values.
+         * @return {Any}
+         *      Value of the expression.
+         * @throws {Error}
+         *      When the expression has invalid syntax.
+         */
+        evaluate: function(sExpression, scope) {
+            var tree = cache.hasOwnProperty(sExpression)
+                        ? cache[sExpression]
+                        : (cache[sExpression] = compile(sExpression));
+            return calculate(tree, scope);
+        }
+
+    };
+
+});
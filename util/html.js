@@ -0,0 +1,316 @@
+/**
+ * Functions to tokenize HTML.
+ *
+ * Licensed under the MIT License at:
+ *      http://www.opensource.org/licenses/mit-license.php
+ *
+ */
+
+
+define([], function() {
+"use strict";
+
+    var
+        // Tags whose content is not parsed
+        rawTagList = ["script", "style", "template", "textarea"],
+        // RegExp to extract tag name
+        tagNameRegExp = /^[a-zA-Z][\w\-:.]*/,
+        // RegExp to check whitespace character
+        spaceRegExp = /\s/;
+
+    /**
+     * Returns index of the given value in the array.
+     *
+     * @param {Array} list
+     *      Array to search in.
+     * @param {Any} value
+     *      Value to search for.
+     * @return {Integer}
+     *      Index of the value or <code>-1</code> if the value is not found.
+     */
+    function indexOf(list, value) {
+        for (var nI = 0, nL = list.length; nI < nL; nI++) {
+            if (list[nI] === value) {
+                return nI;
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * Returns position of the end of the tag (namely position of the corresponding &gt; (greater than sign)).
+     * Quoted attribute values are skipped so they can contain &gt;.
+     *
+     * @param {String} sText
+     *      Text to process.
+     * @param {Integer} nStart
+     *      Position inside the tag from which search should be started (usually position after tag name).
+     * @return {Integer}
+     *      Position of the end of the tag or <code>-1</code> if the end is not found.
+     */
+    function findTagEnd(sText, nStart) {
+        var nL = sText.length,
+            nI, nK, sChar;
+        for (nI = nStart; nI < nL; nI++) {
+            sChar = sText.charAt(nI);
+            if (sChar === ">") {
+                return nI;
+            }
+            else if (sChar === "=") {
+                // Skip whitespace before attribute value
+                for (nI++; nI < nL && spaceRegExp.test(sText.charAt(nI)); nI++) {}
+                sChar = sText.charAt(nI);
+                if (sChar === '"' || sChar === "'") {
+                    nK = sText.indexOf(sChar, nI + 1);
+                    if (nK < 0) {
+                        return -1;
+                    }
+                    nI = nK;
+                }
+                else {
+                    nI--;
+                }
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * Returns position of the closing tag with the specified name.
+     * Nested tags with the same name are taken into account.
+     * Comments, declarations and contents of <code>script</code>, <code>style</code>,
+     * <code>template</code> and <code>textarea</code> elements are skipped (like in <code>findTag</code>).
+     *
+     * @param {String} sText
+     *      Text to process.
+     * @param {Integer} nStart
+     *      Position from which search should be started (usually position after the corresponding opening tag).
+     * @param {String} sName
+     *      Tag name.
+     * @param {Function} [isPaired]
+     *      Function that determines whether a nested tag with the same name has closing tag
+     *      (by default all such tags except self-closing ones are considered as paired).
+     *      The function takes the tag text and should return <code>false</code> for a tag that has no closing tag.
+     * @return {Integer}
+     *      Position of the closing tag (namely position of the corresponding &lt; (less than sign))
+     *      or <code>-1</code> if the tag is not found.
+     */
+    function findClosingTag(sText, nStart, sName, isPaired) {
+        var sLowerName = sName.toLowerCase(),
+            nDepth = 0,
+            nI = nStart,
+            bClose, nK, nTagStart, sChar, sTagName, tagName;
+        while ((nI = sText.indexOf("<", nI)) > -1) {
+            // Comment
+            if (sText.substring(nI, nI + 4) === "<!--") {
+                nK = sText.indexOf("-->", nI + 4);
+                if (nK < 0) {
+                    return -1;
+                }
+                nI = nK + 3;
+                continue;
+            }
+            sChar = sText.charAt(nI + 1);
+            // Declaration or processing instruction
+            if (sChar === "!" || sChar === "?") {
+                nK = sText.indexOf(">", nI + 1);
+                if (nK < 0) {
+                    return -1;
+                }
+                nI = nK + 1;
+                continue;
+            }
+            bClose = sChar === "/";
+            nK = nI + (bClose ? 2 : 1);
+            tagName = tagNameRegExp.exec(sText.substring(nK, nK + 100));
+            if (! tagName) {
+                nI++;
+                continue;
+            }
+            sTagName = tagName[0].toLowerCase();
+            nK += tagName[0].length;
+            sChar = sText.charAt(nK);
+            if (sChar !== ">" && sChar !== "/" && ! spaceRegExp.test(sChar)) {
+                nI = nK;
+                continue;
+            }
+            if (bClose) {
+                if (sTagName === sLowerName) {
+                    if (! nDepth) {
+                        return nI;
+                    }
+                    nDepth--;
+                }
+                nI = nK;
+                continue;
+            }
+            nTagStart = nI;
+            nK = findTagEnd(sText, nK);
+            if (nK < 0) {
+                return -1;
+            }
+            nI = nK + 1;
+            // Self-closing tag does not need closing tag
+            if (sText.charAt(nK - 1) === "/") {
+                continue;
+            }
+            if (sTagName === sLowerName) {
+                if (! isPaired || isPaired(sText.substring(nTagStart, nI)) !== false) {
+                    nDepth++;
+                }
+            }
+            // Skip content of raw text element
+            else if (indexOf(rawTagList, sTagName) > -1) {
+                // Only template elements can be nested
+                nK = sTagName === "template"
+                        ? findClosingTag(sText, nI, sTagName)
+                        : sText.toLowerCase().indexOf("</" + sTagName, nI);
+                if (nK < 0) {
+                    return -1;
+                }
+                nI = nK + 2 + sTagName.length;
+            }
+        }
+        return -1;
+    }
+
+    return {
+
+        /**
+         * Creates document fragment containing nodes that are described by the given HTML.
+         * The fragment is built by using <code>template</code> element so scripts of the HTML are inert
+         * (they are not executed when the fragment is inserted into document).
+         * When <code>template</code> element is not supported, <code>div</code> element is used to parse the HTML.
+         *
+         * @param {String} sHtml
+         *      HTML to process.
+         * @param {Document} [doc]
+         *      Document that should own nodes of the fragment. The global <code>document</code> is used by default.
+         * @return {DocumentFragment}
+         *      Created fragment.
+         * @throws {Error}
+         *      When the document is not available.
+         */
+        createFragment: function(sHtml, doc) {
+            var elem, fragment;
+            if (! doc) {
+                if (typeof document === "undefined") {
+                    throw new Error("Document is not available to create fragment");
+                }
+                doc = document;
+            }
+            elem = doc.createElement("template");
+            if ("content" in elem) {
+                elem.innerHTML = sHtml;
+                return doc.importNode(elem.content, true);
+            }
+            elem = doc.createElement("div");
+            elem.innerHTML = sHtml;
+            fragment = doc.createDocumentFragment();
+            while (elem.firstChild) {
+                fragment.appendChild(elem.firstChild);
+            }
+            return fragment;
+        },
+
+        findClosingTag: findClosingTag,
+
+        findTagEnd: findTagEnd,
+
+        /**
+         * In the specified text looks for the first tag that has one of the given names.
+         * Comments, declarations, closing tags and contents of <code>script</code>, <code>style</code>,
+         * <code>template</code> and <code>textarea</code> elements are skipped.
+         * Tag names are compared case-insensitively.
+         *
+         * @param {String} sText
+         *      Text to look for a tag.
+         * @param {Integer} nStart
+         *      Position from which search should be started.
+         * @param {Array} nameList
+         *      Names of tags that should be found.
+         * @return {Object}
+         *      Data about found tag or <code>null</code> if no tag is found.
+         *      The data object has the following fields (name - type - description):
+         *      <ul>
+         *      <li>name - String - name of found tag (as it is specified in the list)
+         *      <li>position - Integer - position of found tag (namely position of the corresponding &lt; (less than sign))
+         *      <li>tagStart - String - start of found tag ending by whitespace (i.e. "&lt;tag-name ")
+         *      </ul>
+         */
+        findTag: function(sText, nStart, nameList) {
+            var nL = nameList.length,
+                lowerList = [],
+                nI, nK, nN, sChar, sName, sTagStart, tagName;
+            for (nI = 0; nI < nL; nI++) {
+                lowerList[nI] = nameList[nI].toLowerCase();
+            }
+            nI = nStart;
+            while ((nI = sText.indexOf("<", nI)) > -1) {
+                // Comment
+                if (sText.substring(nI, nI + 4) === "<!--") {
+                    nK = sText.indexOf("-->", nI + 4);
+                    if (nK < 0) {
+                        return null;
+                    }
+                    nI = nK + 3;
+                    continue;
+                }
+                sChar = sText.charAt(nI + 1);
+                // Declaration, processing instruction or closing tag
+                if (sChar === "!" || sChar === "?" || sChar === "/") {
+                    nK = sText.indexOf(">", nI + 1);
+                    if (nK < 0) {
+                        return null;
+                    }
+                    nI = nK + 1;
+                    continue;
+                }
+                tagName = tagNameRegExp.exec(sText.substring(nI + 1, nI + 101));
+                if (! tagName) {
+                    nI++;
+                    continue;
+                }
+                tagName = tagName[0];
+                sName = tagName.toLowerCase();
+                nK = nI + 1 + tagName.length;
+                sChar = sText.charAt(nK);
+                if (spaceRegExp.test(sChar)) {
+                    for (nK++; spaceRegExp.test(sText.charAt(nK)); nK++) {}
+                }
+                else if (sChar !== ">" && sChar !== "/") {
+                    nI = nK;
+                    continue;
+                }
+                nN = indexOf(lowerList, sName);
+                if (nN > -1) {
+                    sTagStart = sText.substring(nI, nK);
+                    return {
+                        name: nameList[nN],
+                        position: nI,
+                        tagStart: sTagStart
+                    };
+                }
+                nK = findTagEnd(sText, nK);
+                if (nK < 0) {
+                    return null;
+                }
+                nI = nK + 1;
+                // Skip content of raw text element
+                if (indexOf(rawTagList, sName) > -1 && sText.charAt(nK - 1) !== "/") {
+                    // Only template elements can be nested
+                    nK = sName === "template"
+                            ? findClosingTag(sText, nI, sName)
+                            : sText.toLowerCase().indexOf("</" + sName, nI);
+                    if (nK < 0) {
+                        return null;
+                    }
+                    nI = nK;
+                }
+            }
+            return null;
+        }
+
+    };
+
+});
@@ -14,26 +14,69 @@ define([], function() {
 "use strict";
     
     var 
-        // RegExp to extract tag attributes and their values
-        attrRegExp = /(\w+(?:[\-\w]+)?)\s*=\s*("|')\s*(.*?)\s*\2/g,
+        // RegExp to extract tag attributes and their values (quoted, unquoted or omitted)
+        attrRegExp = /([^\s"'>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g,
+        // RegExp to trim string
+        trimRegExp = /^\s+|\s+$/g,
         // RegExp to extract settings and their values
-        settingRegExp = /(\w+)\s*=\s*(.*?)\s*(?:;|$)/g;
+        settingRegExp = /(\w+)\s*=\s*(.*?)\s*(?:;|$)/g,
+        // RegExp to find placeholders ({{{name}}} for raw value, {{name}} for escaped value)
+        placeholderRegExp = /\{\{\{\s*([\w$\-]+(?:\.[\w$\-]+)*)\s*\}\}\}|\{\{\s*([\w$\-]+(?:\.[\w$\-]+)*)\s*\}\}/g,
+        // RegExp to find characters that should be escaped in HTML
+        htmlCharRegExp = /[&<>"']/g,
+        // Names of fields that can not be accessed in placeholders
+        forbiddenRegExp = /^(?:__proto__|constructor|prototype)$/,
+        // HTML entities for special characters
+        htmlEntityMap = {
+            "&": "&amp;",
+            "<": "&lt;",
+            ">": "&gt;",
+            '"': "&quot;",
+            "'": "&#39;"
+        };
+    
+    /**
+     * Replaces special HTML characters in the string by the corresponding entities.
+     * 
+     * @param {String} sText
+     *      String to process.
+     * @return {String}
+     *      Processed string.
+     */
+    function escapeHtml(sText) {
+        return sText.replace(htmlCharRegExp, function(sChar) {
+            return htmlEntityMap[sChar];
+        });
+    }
     
     return {
+        
+        escapeHtml: escapeHtml,
 
         /**
          * Extracts attributes and their values from tag's text.
+         * Values can be quoted (by double or single quotes) or unquoted.
+         * Quoted values are trimmed and can contain any characters except the corresponding quote.
+         * The value of attribute without value is empty string.
+         * Attribute names are converted to lower case because they are case-insensitive in HTML.
          * 
          * @param {String} sTag
          *      Tag's text to process.
          * @return {Object}
-         *      Attributes map. Keys are attribute names, values - corresponding values.
+         *      Attributes map. Keys are attribute names in lower case, values - corresponding values.
          */
         extractAttributes: function(sTag) {
             var result = {},
-                attr;
+                attr, value;
             while (attr = attrRegExp.exec(sTag)) {
-                result[ attr[1] ] = attr[3];
+                value = attr[2];
+                if (typeof value !== "string") {
+                    value = attr[3];
+                }
+                if (typeof value !== "string") {
+                    value = attr[4] || "";
+                }
+                result[ attr[1].toLowerCase() ] = value.replace(trimRegExp, "");
             }
             return result;
         },
@@ -56,6 +99,38 @@ define([], function() {
                 result[ setting[1] ] = setting[2];
             }
             return result;
+        },
+        
+        /**
+         * Replaces placeholders in the text by the corresponding values.
+         * Placeholder <code>{{name}}</code> is replaced by value whose special HTML characters are escaped,
+         * placeholder <code>{{{name}}}</code> is replaced by raw value.
+         * Name can be a path of fields separated by dot (for example, <code>{{user.name}}</code>).
+         * A placeholder whose value is <code>null</code> or <code>undefined</code> is replaced by empty string.
+         * Only own fields of objects are used, fields <code>__proto__</code>, <code>constructor</code>
+         * and <code>prototype</code> can not be accessed (such placeholders are replaced by empty string).
+         * 
+         * @param {String} sText
+         *      Text to process.
+         * @param {Object} data
+         *      Values of placeholders. Keys are names, values are corresponding values.
+         * @return {String}
+         *      Processed text.
+         */
+        interpolate: function(sText, data) {
+            return sText.replace(placeholderRegExp, function(sMatch, sRawName, sName) {
+                var pathList = (sRawName || sName).split("."),
+                    value = data,
+                    nI, nL, sKey;
+                for (nI = 0, nL = pathList.length; nI < nL && value != null; nI++) {
+                    sKey = pathList[nI];
+                    value = forbiddenRegExp.test(sKey) || ! Object.prototype.hasOwnProperty.call(value, sKey)
+                                ? undefined
+                                : value[sKey];
+                }
+                value = value == null ? "" : String(value);
+                return sRawName ? value : escapeHtml(value);
+            });
         }
         
     };
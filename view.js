@@ -18,7 +18,7 @@
     removes/replaces them in the content and loads the specified dependencies before returning result.
     The "refined" file content will be returned as resource value.
     
-    Dependency directive is a tag (by default `<link>` and `<x-link>` tags are processed) that can have one of the following forms
+    Dependency directive is a tag (by default `<link>`, `<x-link>` and `<x-include>` tags are processed) that can have one of the following forms
     (parts in square brackets are optional, alternatives are separated by |):
     
     * `<tag-name rel="stylesheet|css" href="[plugin!]path/to/some/style.css">` - specifies CSS-file that should be loaded along with resource;
@@ -28,6 +28,13 @@
     * `<tag-name rel="include|x-include" [type="plugin"] href="[plugin!]path/to/some/inclusion.html" [data-param="value"]>` - specifies inclusion that should be inserted 
         inside the resource content instead of the directive; `plugin` that should be used for resource loading can be set in `type` attribute or inside the resource name;
         the default plugin can be specified in configuration settings.
+    * `<x-include [type="plugin"] href="[plugin!]path/to/some/inclusion.html" [data-param="value"]>content</x-include>` - specifies inclusion
+        whose content is passed to the included resource (see "Inclusions" section).
+    * `<tag-name rel="extends" href="[plugin!]path/to/some/layout">` - specifies layout that the resource extends (see "Layouts" section).
+    * `<tag-name rel="block" name="block-name">...</tag-name>` - specifies content of layout block.
+    * `<tag-name rel="slot" name="slot-name">` - specifies place of layout slot that should be filled by content of the corresponding block.
+    * `<tag-name rel="data" name="data-name" href="[plugin!]path/to/some/data.json">` - specifies data that should be available 
+        in expressions and placeholders under the given name (see "Data" section).
     
     The following directives are equal (supposed that `css!` is the default plugin for CSS-files loading):
     ```html
@@ -37,20 +44,80 @@
     <x-link rel="require" type="css" href="path/to/some/style.css">
     ```
     
+    Directives inside HTML comments and inside `script`, `style`, `template` and `textarea` elements are not processed.
+    
+    Relative names (that start with `./` or `../`) inside `href` attributes are resolved against the name of the view
+    containing the directive. For example, `<link rel="include" href="./header">` inside `widgets/cart/main.html`
+    refers to `widgets/cart/header.html`.
+    
     ## Inclusions
     
     Inclusions allows composing the result from different parts which can be customized before injection.
     Inclusion directive has the following form (parts in square brackets are optional, alternatives are separated by |):
     
     ```html
-    <tag-name rel="include|x-include" [type="plugin"] href="[plugin!]path/to/some/inclusion.html" [data-if="condition" data-param1="value1" data-param2="value2" ...]>
+    <tag-name rel="include|x-include" [type="plugin"] href="[plugin!]path/to/some/inclusion.html" [data-if="condition" data-else="alternative" data-each="collection" data-param1="value1" data-param2="value2" ...]>
     ```
     
     The resource that is specified inside the inclusion directive can result to plain text, a function or an object with `execute` method. 
     In case of function/method the function/method will be called and the returned value will be used as the substitute for the directive.
+    The function/method can be asynchronous: it can return a Promise (or other thenable) or, when the function or the object 
+    is marked as asynchronous by `async` field with `true` value and the function/method returns `undefined`, 
+    call node-style callback that is passed as the second parameter:
+    
+    ```javascript
+    // Inclusion returning Promise
+    define(["api/news"], function(news) {
+        return function(data) {
+            return news.fetch(data.count).then(function(list) {
+                return "<ul>" + list.join("") + "</ul>";
+            });
+        };
+    });
+    
+    // Inclusion calling callback
+    define(["api/news"], function(news) {
+        function inclusion(data, callback) {
+            news.load(data.count, function(err, list) {
+                callback(err, err ? null : "<ul>" + list.join("") + "</ul>");
+            });
+        }
+        inclusion.async = true;
+        return inclusion;
+    });
+    ```
+    
+    The view is ready when all inclusions are made. Time of waiting for an asynchronous inclusion can be limited by `inclusionTimeout` setting.
+    Rejection of the Promise, error passed into the callback and timeout lead to failure of the view loading.
+    
+    Besides `data` object and callback (`null` when inclusions are made synchronously or the inclusion is not marked as asynchronous) 
+    a context object is passed into the function/method as the third parameter. The object has the following fields:
+    
+    * `view` - String - name of the view containing the inclusion directive
+    * `settings` - Object - processing settings/configuration of the view
+    * `attrMap` - Object - all attributes of the directive (keys are attribute names, values are corresponding values)
+    * `tag` - String - text of the directive
+    * `depth` - Integer - nesting depth of the inclusion: `1` for inclusions of the view that is loaded directly, 
+        `2` for inclusions of a view that is included into such view and so on
+    * `require` - Function - `require` function that resolves relative names (starting with `./` or `../`) 
+        against the name of the view containing the directive
+    
+    ```javascript
+    define(function() {
+        return function(data, callback, context) {
+            // "./menu" is resolved against the name of the view containing the directive
+            context.require(["./menu"], function(menu) {
+                callback(null, menu.render(context.attrMap["class"], context.depth));
+            }, callback);
+        };
+    });
+    ```
     
     `data-` attributes can be set inside the directive. They form special `data` object that will be passed into the inclusion resource function.
+    Each directive is processed independently: when the same resource is included several times,
+    the resource is loaded once, but its function/method is called for each directive with the directive's `data` object.
     Fields of `data` object are attributes names (without `data-` prefix), values are corresponding attributes values.
+    Attribute names are case-insensitive as in HTML, so they are converted to lower case (`data-userName` forms `username` field).
     For the directive above, the `data` object will be the following:
     
         {
@@ -60,17 +127,192 @@
             ...
         }
     
-    You should not use `>` (greater than sign) in values of attributes because this sign represents the end of directive's tag.
+    Attribute values should be quoted if they contain `>` (greater than sign) or whitespace.
+    
+    When `interpolate` configuration setting is `true`, placeholders inside text of an inclusion (that is not a function or object with `execute` method)
+    are replaced by values of the `data` object: `{{name}}` is replaced by value whose special HTML characters are escaped,
+    `{{{name}}}` is replaced by raw value. Name can be a path of fields separated by dot (`{{user.name}}`).
+    Values that are absent in the `data` object are taken from `vars` configuration setting. Unknown placeholders are replaced by empty string.
+    For example, the following directive and inclusion
+    
+    ```html
+    <x-link rel="include" type="text" href="html/greeting.html" data-name="Bob">
+    <p>Hello, {{name}}!</p>
+    ```
+    
+    produce `<p>Hello, Bob!</p>`.
+    
+    Inclusion directive can have paired form that allows passing markup to the included resource.
+    `<x-include>` tag (`rel` attribute can be omitted for it) and the corresponding closing tag form the directive,
+    the inner markup is the content of the directive:
+    
+    ```html
+    <x-include href="ui/panel" data-title="Cart">
+        <p>Items in the cart</p>
+        <x-include href="ui/button" data-text="Checkout"></x-include>
+    </x-include>
+    ```
+    
+    The content is passed in `content` field of `data` object to a functional inclusion.
+    In text of an inclusion `{{content}}` placeholder is replaced by the content as is (regardless of `interpolate` setting):
+    
+    ```html
+    <div class="panel"><h2>{{title}}</h2>{{content}}</div>
+    ```
+    
+    Directives inside the content are processed as usual (nested inclusions are made before the content is passed).
+    When the directive is not processed (because of `data-if` attribute), it is deleted along with its content.
     
     `data-if` attribute is interpreted in a special way. Its value is used to determine whether the directive should be processed.
-    If result of the value processing is true, the directive will be processed. Otherwise the directive will be deleted.
+    If result of the value processing is true, the directive will be processed. Otherwise the directive will be deleted
+    or, when `data-else` attribute is set, the resource specified in this attribute will be included instead
+    (the attribute value has the same form as value of `href` attribute):
     
-    By default eval'ing is used to process value of `data-if` attribute.
-    But this behavior can be redefined by using `processIf` configuration setting.
+    ```html
+    <x-link rel="include" href="feature/new-header" data-if="data.newHeader" data-else="feature/old-header">
+    ```
+    
+    By default value of `data-if` attribute is evaluated by built-in expression evaluator that does not use eval'ing
+    (so it works under Content-Security-Policy without `unsafe-eval`) and can not run arbitrary code.
+    The evaluator supports literals (numbers, strings, `true`, `false`, `null`, `undefined`), property paths
+    (`name.field`, `name["field"]`, `name[0]`), operators `!`, `-`, `+`, `*`, `/`, `%`, `<`, `<=`, `>`, `>=`,
+    `==`, `!=`, `===`, `!==`, `&&`, `||`, conditional operator `?:` and parentheses. Function calls are not supported.
+    The following identifiers are available in the expression:
+    
+    * `data` and `settings` - object representing configuration settings
+    * `attr` - attributes of the directive; keys are attribute names, values are corresponding values
+    * `this` - parameter that is passed in `processIf` function (see below for details)
+    * fields of `vars` configuration setting
     
+    For example, `data-if="space.a < 10 && data.access"` can be used when `vars` setting is `{space: {a: 5}}`.
+    
+    eval'ing of the value can be turned on by setting `ifMode` configuration setting to `'eval'`.
     eval'ing is made by using call of anonymous function. The function is called in context of parameter 
-    that is passed in `processIf` function (see below for details).
-    Object representing configuration settings is passed as the function parameter with name `data`.
+    that is passed in `processIf` function. Object representing configuration settings is passed as the function parameter with name `data`.
+    
+    The processing of `data-if` attribute can be redefined by using `processIf` configuration setting.
+    
+    `data-each` attribute allows repeating the inclusion for each item of a collection. The attribute value is evaluated
+    in the same way as value of `data-if` attribute and should result to an array (`null` and `undefined` are treated as empty array).
+    The inclusion is made once per item, `item` and `index` fields of `data` object of each instance contain the item and its index:
+    
+    ```html
+    <ul><x-link rel="include" href="html/user-row" data-each="users" data-class="row"></ul>
+    <!-- html/user-row.html (with interpolate=true) -->
+    <li class="{{class}}">{{index}}. {{item.name}}</li>
+    ```
+    
+    The directive is deleted when the array is empty. `data-if` attribute is processed before `data-each` attribute.
+    Items should be serializable into JSON when the view is optimized by build tool.
+    
+    ## Layouts
+    
+    A view can extend a layout: the layout provides the common markup of pages and declares named slots,
+    the view provides contents of blocks that fill the corresponding slots.
+    The layout is specified by `extends` directive, a slot is declared by `slot` directive,
+    a block is formed by `block` directive and the corresponding closing tag:
+    
+    ```html
+    <!-- layouts/base.html -->
+    <html>
+    <head><x-link rel="slot" name="head"></head>
+    <body><x-link rel="slot" name="content"></body>
+    </html>
+    
+    <!-- pages/index.html -->
+    <x-link rel="extends" href="layouts/base">
+    <x-link rel="block" name="head"><title>Index</title></x-link>
+    <x-link rel="block" name="content">
+        <h1>Index</h1>
+        <x-link rel="include" href="./news">
+    </x-link>
+    ```
+    
+    The layout is loaded by the plugin (`view!` prefix is added when plugin is not specified in `href` attribute).
+    Directives inside blocks are processed as usual. After inclusions are made, slots of the layout are filled by contents
+    of the blocks and the result is used as the view's content: text of the view outside of blocks is discarded,
+    blocks that have no corresponding slots are ignored. Slots that have no corresponding blocks are left as HTML comments
+    so a layout can extend another layout and pass its unfilled slots to views. Elements inside the block can have the same tag
+    as the block directive: nested tags are taken into account when the closing tag of the block is searched 
+    (directives inside the block except blocks are not considered as paired tags). Contents of blocks and slots are marked by HTML comments during processing
+    (`<!--view-block:name-->`, `<!--/view-block:name-->` and `<!--view-slot:name-->`).
+    
+    ## Data
+    
+    `data` directive loads a resource and makes its value available under the name that is specified in `name` attribute:
+    
+    ```html
+    <link rel="data" name="catalog" href="./data/catalog.json">
+    <link rel="data" name="user" href="app/current-user">
+    
+    <link rel="include" href="./item" data-each="catalog.items" data-if="user.isAdmin || catalog.public">
+    ```
+    
+    A file with `.json` extension is loaded by `text!` plugin and parsed as JSON when plugin is not specified in the resource name.
+    Other resources (for example, AMD modules) are loaded as usual dependencies and their values are used as is.
+    Data is loaded before the view is parsed, so the directive can be placed anywhere in the view.
+    The loaded values are added to values of `vars` setting of the view: they are available in `data-if` and `data-each` expressions
+    and in placeholders of inclusions (when `interpolate` setting is `true`). Views that are included into the view 
+    and layouts that the view extends get the data as well. Data of a view takes precedence over data of the including view.
+    Loading of the view fails when the data can not be loaded or JSON can not be parsed.
+    
+    Because a view is loaded once and then its value is cached by the loader, a view that is included into several views
+    is processed with data of the view that includes it first. Loads that are made with different configuration objects 
+    (for example, by separate calls of `render` method or of Node.js adapter) do not share data even when they are concurrent.
+    Data is not available at run time of an optimized bundle 
+    and is not loaded while dependency graph is built.
+    
+    ## Custom directives
+    
+    Each directive kind is identified by value of `rel` attribute of the directive tag. Built-in directives 
+    (`stylesheet`, `css`, `include`, `x-include`, `require`, `x-require`, `extends`, `block`, `slot` and `data`) are registered 
+    in the same way as custom directives. New directive kinds can be added by `registerDirective` method of the plugin API object
+    without redefining `processTag` setting:
+    
+    ```js
+    define(["view"], function(view) {
+        // <link rel="i18n" key="greeting">
+        view.registerDirective("i18n", function(data) {
+            return {text: messages[data.attrMap.key] || ""};
+        }, "key");
+        // <link rel="json" href="./config">
+        view.registerDirective("json", function(data) {
+            return {dependency: "json!" + data.resource + ".json"};
+        });
+    });
+    ```
+    
+    The method takes the following parameters:
+    
+    * `name` - String - name of the directive (the value of `rel` attribute, names are case-insensitive);
+        a directive that is registered earlier with the same name (including built-in directive) is replaced
+    * `handler` - Function - function that processes the directive; the function takes the object with the following fields:
+        + `type` - String - name of the directive in lower case
+        + `resource` - String, null - name of the resource from `href` attribute (relative path is resolved against name of the view)
+        + `tagText` - String - text of the directive tag
+        + `attrMap` - Object - attributes of the directive tag
+        + `settings` - Object - processing settings/configuration
+        
+        the function should return an object that can have the same fields as result of `processTag` 
+        (`dependency`, `inclusion`, `text`, `layout`, `block`), omitted fields have the default values 
+        (no dependency, no inclusion and empty text)
+    * `attr` - String, null - name of attribute that is required for the directive (a tag without the attribute is deleted);
+        the default value is `'href'`, `null` means that no attribute is required
+    
+    ## Errors
+    
+    When loading of a view fails, an error is passed into `callback.error` (`callback.reject` in curl.js) of the loader
+    so the failure can be handled by errback of `require` call. The loading fails when the view text or any of the view's
+    dependencies cannot be loaded, when processing of a directive (for example, evaluation of `data-if` attribute) throws an exception,
+    when a functional inclusion throws an exception and when settings of the view are invalid (see "Configuration" section). The error object has the following fields besides `message`:
+    
+    * `view` - String - name of the failed view
+    * `tag` - String, null - text of the directive that led to the failure
+    * `cause` - Any - the underlying cause of the failure (for example, error of the failed dependency)
+    
+    Circular inclusions (when a view directly or through other views includes itself) are detected during loading.
+    In that case the message of the error lists the chain of views (`main.html -> part.html -> main.html`)
+    and `chain` field of the error contains array of names of views forming the chain.
     
     ## Configuration
     
@@ -82,9 +324,10 @@
          the default value is `'html'`
     * `defaultInclusionExt` - String - Yes - default file extension for inclusions that will be inserted into result;
          the default value is `'html'`
-    * `directiveTag` - Array, String - No - name(s) of tags that should be parsed and processed as dependency directives;
-         the default value is `['link', 'x-link']`
-    * `dontAddFileExt` - RegExp, String, null - regular expression or string defining such expression that should be used to filter names
+    * `directiveTag` - Array, String - Yes - name(s) of tags that should be parsed and processed as dependency directives;
+         in resource name the names are separated by comma (e.g. `directiveTag=link,x-use`);
+         the default value is `['link', 'x-link', 'x-include']`
+    * `dontAddFileExt` - RegExp, String, null - Yes - regular expression or string defining such expression that should be used to filter names
          for which default file extension (defined by `defaultExt` or `defaultInclusionExt` setting) should not be added;
          if regular expression test for a name results to `true`, addition of default file extension will be skipped;
          the default value is `null` (filter is not used)
@@ -93,20 +336,36 @@
          the function should return an object with the following fields:
          + `name` - String - name of found tag
          + `position` - Integer - position of found tag (namely position of the corresponding &lt; (less than sign))
-         + `tagStart` - String - start of found tag ending by a space (i.e. "<tag-name ")
+         + `tagStart` - String - start of found tag ending by whitespace (i.e. "<tag-name ")
     * `filterTag` - Function - No - function that should be used to determine whether a tag is useful 
-         and defines a dependency or the tag should be simply deleted;
+         and defines a dependency or the tag should be simply deleted (by default a tag is useful when it represents
+         a registered directive, see "Custom directives" section);
          the function takes three parameters: the text, object tag attributes and the settings object;
          the function should return true for a useful tag and false for a tag that should be deleted
+    * `ifMode` - String - No - mode of evaluation of `data-if` attribute: `'expression'` (built-in expression evaluator)
+         or `'eval'` (eval'ing); the default value is `'expression'`
     * `inclusionLoader` - String - Yes - name of plugin that should be used to load an inclusion file 
          when loader is not specified in resource name; the default value is `'view'`
+    * `inclusionTimeout` - Number - Yes - maximum time (in milliseconds) of waiting for an asynchronous inclusion;
+         `0` means no limit; the default value is `0`
+    * `inherit` - Array, String - Yes - names of settings that should be passed from the view to included views and layouts
+         (see below for details); in resource name the names are separated by comma; the default value is `[]`
+    * `interpolate` - Boolean - Yes - whether placeholders inside text of inclusions should be replaced by values of `data` object
+         of the inclusion (see "Inclusions" section); the default value is `false`
     * `parse` - Function - No - function that should be used to parse the loaded text;
          the function takes two parameters: the text and the settings object;
          the function should return an object with the following fields:
          + `resource` - String - text after processing.
          + `depList` - Array - list of found dependencies.
          + `inclusionMap` - Object - an optional field that is describing dependencies that should be included into the resource's content;
-                 object's fields are inclusion names, field values are objects describing corresponding inclusions (see `processTag` for details).
+                 object's fields are identifiers of inclusion instances (each inclusion directive forms separate instance),
+                 field values are objects describing corresponding inclusions (see `processTag` for details).
+         + `layout` - String - an optional field containing name of the layout that the resource extends
+                 (the name should be in the list of dependencies as well).
+         + `tagMap` - Object - an optional field that is describing directives of found dependencies;
+                 object's fields are dependency names, field values are texts of the corresponding directives.
+    * `pluginName` - String - No - name (prefix) that is used to load views by this plugin;
+         it is used to detect inclusions of views; the default value is `'view'`
     * `processIf` - Function - No - function that should be used to process the value of `data-if` attribute of inclusion directive
          to determine whether the directive should be processed;
          the function takes the object with the following fields:
@@ -127,7 +386,19 @@
                          the found attributes form contents of `data` object:
                          fields are attributes names (without `data-` prefix), values are corresponding attributes values
                  - `name` - `String` - the name of inclusion
-         + `text` - String - a tag text after processing; the text will substitute for the original text.
+         + `text` - String - a tag text after processing; the text will substitute for the original text
+                 (it is ignored for inclusion because the directive is replaced by the marker of the inclusion instance).
+         + `layout` - String, null - an optional field containing name of the layout that the resource extends.
+         + `block` - String, null - an optional field containing name of the layout block that is started by the tag.
+    * `result` - String - Yes - form of the resource value: `'text'` (HTML text), `'object'` (object describing the view),
+         `'fragment'` (`DocumentFragment`) or `'factory'` (function creating `DocumentFragment`), see "Structured result" section;
+         the default value is `'text'`
+    * `rules` - Array, null - No - list of rules defining settings for views whose names match a pattern;
+         each rule is an object with `test` field (RegExp, String defining regular expression or Function taking view name and returning Boolean)
+         and `settings` field (Object containing settings that should be applied to matching views), see below for details;
+         the default value is `null`
+    * `vars` - Object, null - No - values that are available by name in `data-if` expressions and placeholders of inclusions;
+         keys are names, values are corresponding values; the default value is `null`
     
     Some configuration settings can be defined in resource name in the following format:
     
@@ -135,11 +406,215 @@
     name=value[;name=value...]
     `
     
+    Values are converted according to the setting type: a number should be a valid number, a boolean should be `true`, `false`,
+    `1` or `0`, a list is a comma-separated string, a regular expression is specified by its source (so it can not contain `;`),
+    a value of a setting with fixed set of values (e.g. `result`) should be one of the values.
+    Loading of a view fails when its name contains unknown setting, a setting that can not be set in resource name
+    or an invalid value (see "Errors" section). For example, `view!some/view!result=json` is failed with message
+    `invalid value "json" of setting result - one of the following values is expected: text, object, fragment, factory`.
+    Values of settings from configuration are checked as well.
+    
+    Settings from resource name are applied only to the view by default: views that are included into the view 
+    or extended by it are loaded with their own settings. Settings whose names are listed in `inherit` setting are passed to 
+    the included views and layouts: the plugin adds the settings (including `inherit` setting itself) into names of the nested views.
+    So the settings are passed further to all descendants. Settings that are specified in name of an included view 
+    take precedence over the inherited settings. For example, when `view!main!cssLoader=link;inherit=cssLoader` contains directive
+    `<link rel="include" href="part">`, the included view is loaded as `view!part.html!inherit=cssLoader;cssLoader=link`.
+    Only settings that can be set in resource name can be inherited, a value containing `;` or `!` can not be inherited
+    (processing of the including view fails). Note that a view with different settings in its name
+    is a separate resource for the loader.
+    
+    Settings can be scoped by names of views with help of `rules` setting. Settings of a rule are applied to a view 
+    when the rule's test matches name of the view without settings from resource name and with file extension that is added
+    according to `defaultExt` and `dontAddFileExt` settings (e.g. `legacy/page.html` for `view!legacy/page!interpolate=true`).
+    Included views are matched by names of the same form, so a rule like `/^legacy\/page\.html$/` is applied to the view
+    whether it is loaded directly or included. Settings are merged in the following order:
+    default values, `reconfig` object, configuration that is passed by loader, settings of matching rules (in the order of rules)
+    and settings from resource name. Rules are applied to included views as well because they are loaded with the same configuration.
+    
+    ```js
+    requirejs.config({
+        config: {
+            view: {
+                directiveTag: ["x-use"],
+                rules: [
+                    {
+                        test: /^legacy\//,
+                        settings: {
+                            cssLoader: "link",
+                            directiveTag: ["link"]
+                        }
+                    }
+                ]
+            }
+        }
+    });
+    ```
+    
+    Types and other properties of settings are described in `settingSchema` field of the plugin API object.
+    Keys of the object are setting names, values are objects with the following fields:
+    
+    * `type` - String - type of the setting value: `'boolean'`, `'enum'`, `'function'`, `'list'`, `'number'`, `'object'`, 
+        `'regexp'` or `'string'`
+    * `inName` - Boolean - whether the setting can be set in resource name
+    * `value` - Any - default value of the setting
+    * `values` - Array - allowed values (for `'enum'` type)
+    * `validate` - Function - optional function that takes the converted value and returns description of the problem
+        for invalid value or `null` for valid value
+    
+    A custom setting (for example, a setting that is used by custom `parse` function) can be set in resource name 
+    after its description is added into the schema:
+    
+    ```js
+    define(["view"], function(view) {
+        view.settingSchema.lang = {type: "enum", inName: true, value: "en", values: ["en", "fr"]};
+    });
+    ```
+    
     The plugin API object that is returned as the plugin's module definition contains `reconfig` field whose value is an object.
     The object can be used to dynamically redefine default values of configuration settings.
     For that purpose it is necessary to add in the object a field with name of the setting whose value should be changed
     (see examples for details).
     
+    ## Structured result
+    
+    By default the resource value is the resulting text of the view. When `result` setting is `'object'`
+    (for example, `view!some/folder/view!result=object`), the resource value is an object with the following fields:
+    
+    * `html` - String - the resulting text of the view
+    * `css` - Array - names of CSS-files that are found in the view
+    * `modules` - Array - names of other dependencies that are found in the view (except for inclusions)
+    * `inclusions` - Array - list of objects describing inclusion instances; each object has `id` (identifier of the instance),
+        `name` (name of the inclusion), `data` (data of the instance) and `tag` (text of the directive) fields
+    * `name` - String - name of the view
+    
+    `toString` method of the object returns value of `html` field, so the object can be used where the text is expected
+    (for example, when such view is included into another view).
+    
+    When `result` setting is `'fragment'`, the resource value is a `DocumentFragment` containing nodes of the view,
+    so the view can be inserted into document without intermediate element: `document.body.appendChild(fragment)`.
+    The fragment is built by using `<template>` element, therefore scripts of the view are inert.
+    Because nodes are moved from the fragment when it is inserted, the fragment can be used only once.
+    When the view should be instantiated several times, `'factory'` value can be used. In that case the resource value
+    is a function that returns new copy of the fragment on each call (the fragment is built once and then cloned,
+    so HTML is not reparsed). Views with `'fragment'` and `'factory'` results can not be included into other views
+    or used as layouts (such attempt leads to failure of loading of the including view), 
+    and they require DOM (loading fails when `document` is not available).
+    
+    ## Rendering with data
+    
+    `render` method of the plugin API object loads, parses the specified view and makes inclusions using the given data
+    and settings. Unlike loading by `view!` prefix the result is not cached by the loader, so the same view can be rendered
+    with different data. Fields of the data object are available by name in `data-if` expressions and placeholders of inclusions
+    along with fields of `vars` setting. Nested `view!` inclusions and layouts are rendered with the same data and settings 
+    and are not cached by the loader as well (other dependencies are loaded by the loader as usual).
+    
+    The method returns a Promise or calls node-style callback when it is passed:
+    
+    ```javascript
+    require(["view"], function(viewPlugin) {
+        viewPlugin.render("some/folder/view", {user: {name: "Bob"}}, {interpolate: true})
+            .then(function(html) {
+                // use html
+            });
+        
+        viewPlugin.render("some/folder/view", {user: {name: "Bob"}}, function(err, html) {
+            // ...
+        });
+    });
+    ```
+    
+    ## Dependency graph
+    
+    `graph` method of the plugin API object walks the specified view and its included views recursively and builds
+    graph of all inclusions and dependencies that the view pulls in. Views are parsed but inclusions are not made
+    and dependencies are not loaded. Conditions of `data-if` attributes are evaluated as usual.
+    
+    ```javascript
+    require(["view", "require"], function(viewPlugin, require) {
+        viewPlugin.graph("some/folder/view", require, function(graph) {
+            // graph.nodes - [{id: "some/folder/view.html", type: "view"}, {id: "css!style/main.css", type: "css"}, ...]
+            // graph.edges - [{from: "some/folder/view.html", to: "css!style/main.css", type: "css", tag: "<link rel=\"css\" href=\"style/main.css\">"}, ...]
+            var sDot = viewPlugin.graphToDot(graph);
+        });
+    });
+    ```
+    
+    Type of a node is one of the following: `view` (the view, an included view or a layout), `inclusion` (other included resource),
+    `css` (CSS-file) or `require` (other dependency). An edge contains text of the directive that introduces the dependency
+    (`tag` field) and the directive type (`inclusion`, `layout`, `css` or `require`).
+    The graph can be exported as JSON by `JSON.stringify` and in Graphviz DOT format by `graphToDot` method.
+    
+    ## Build
+    
+    The plugin supports optimization by r.js (`write` and `writeFile` methods) and cram.js (`cram/view.js` builder).
+    During build a view is loaded and parsed, and the view is written into the bundle as AMD module
+    whose dependencies are the found dependencies of the view. So `text!` plugin is not used to load the view at run time.
+    r.js does not pass values of resources that are loaded by plugins into other plugins during build,
+    so the plugin reads views and files of `text!` inclusions directly from the file system in that case.
+    When build is made by r.js and contents of all inclusions and of the layout of the view are available as text 
+    (text files and included views that are resolved in the same way), inclusions are made during build
+    (with values of `vars` setting of build configuration). In that case the module returns the final text
+    and its dependencies are the found dependencies of the view and of the included views except for the embedded inclusions,
+    so neither the plugin nor `require` is needed at run time (unless `result` setting is not `'text'`).
+    Otherwise (for example, when there is a functional inclusion, and always for cram.js) 
+    inclusions are made at run time by `makeInclusions` method of the plugin API
+    (values of `vars` setting are not available for interpolation of inclusions in that case,
+    and `settings` field of the context object that is passed into a functional inclusion
+    contains only `depth`, `interpolate` and `viewName` settings).
+    Because value of AMD module can not be obtained asynchronously, asynchronous inclusions are not supported in optimized bundle.
+    
+    ## Node.js
+    
+    `node.js` module is an adapter to assemble views on a server. The adapter evaluates modules of the plugin in Node.js
+    and provides the plugin with a loader that reads views and inclusions from the file system.
+    Found dependencies are not loaded, they are collected into lists instead:
+    
+    ```javascript
+    var view = require("amd-view-plugin/node");
+    
+    view.load("some/folder/view", {baseUrl: "path/to/views", config: {cssLoader: "link"}, data: {user: {name: "Bob"}}})
+        .then(function(result) {
+            // result.html - assembled HTML
+            // result.css - list of found CSS-files (e.g. ["link!style/main.css"])
+            // result.modules - list of other found dependencies
+        });
+    ```
+    
+    The adapter can load inclusions by `view!` and `text!` plugins. Other plugins can be passed in `plugins` option
+    (keys are plugin names, values are plugin objects having `load` method). Loading of a view fails when its inclusion
+    should be loaded by a plugin that is not available (e.g. `<link rel="include" href="./data" type="json">`
+    without `json` plugin in `plugins` option).
+    `load` function returns a Promise or calls node-style callback when it is passed as the last parameter.
+    `graph` function of the adapter has the same parameters and returns graph of dependencies of the view (see above).
+    
+    ## Command line tool
+    
+    `amd-view` command (`bin/amd-view.js`, it is available after `npm install -g amd-view-plugin` or in `node_modules/.bin`
+    after local installation) precompiles views of a directory into AMD modules that need neither `text!` nor `view!` plugin at run time:
+    
+    ```
+    amd-view compile src/views --out build/views --config view-config.json
+    ```
+    
+    Each file of the source directory and its subdirectories that has the default extension (`defaultExt` setting)
+    is assembled by the Node.js adapter (names of views and inclusions are resolved against the source directory)
+    and is written into the output directory as `.js` file containing module like the following:
+    
+    ```javascript
+    define(["css!style/main.css"], function() { return "...assembled HTML..."; });
+    ```
+    
+    Dependencies of the module are the found dependencies of the view and its inclusions.
+    The optional configuration file is a JSON file containing configuration of the plugin
+    (e.g. `{"defaultExt": "view", "cssLoader": "link"}`).
+    
+    `graph` command prints graph of dependencies of the view in JSON (by default) or Graphviz DOT format:
+    
+    ```
+    amd-view graph pages/index --base src/views --format dot --out index.dot
+    ```
+    
     ## Dependencies
     
     * `text`, `css` and `link` plugins
@@ -160,53 +635,377 @@
 
 
     var 
-        // Default configuration
-        defaultConfig = {
-            cssLoader: "css",
-            defaultExt: "html",
-            defaultInclusionExt: "html",
-            directiveTag: ["link", "x-link"],
-            dontAddFileExt: null,
-            inclusionLoader: "view"
+        // Descriptions of configuration settings. Keys are setting names, values are objects with the following fields:
+        // type - type of the setting value ("boolean", "enum", "function", "list", "number", "object", "regexp" or "string"),
+        // inName - whether the setting can be set in resource name, value - default value of the setting,
+        // values - list of allowed values (for "enum" type), validate - function that checks converted value 
+        // and returns description of the problem for invalid value
+        settingSchema = {
+            cssLoader: {type: "string", inName: true, value: "css"},
+            defaultExt: {type: "string", inName: true, value: "html"},
+            defaultInclusionExt: {type: "string", inName: true, value: "html"},
+            directiveTag: {
+                type: "list", 
+                inName: true, 
+                value: ["link", "x-link", "x-include"],
+                validate: function(tagList) {
+                    return tagList.length ? null : "at least one tag name is expected";
+                }
+            },
+            dontAddFileExt: {type: "regexp", inName: true, value: null},
+            filterTag: {type: "function", inName: false},
+            findTag: {type: "function", inName: false},
+            ifMode: {type: "enum", inName: false, value: "expression", values: ["expression", "eval"]},
+            inclusionLoader: {type: "string", inName: true, value: "view"},
+            inherit: {
+                type: "list", 
+                inName: true, 
+                value: [],
+                validate: function(nameList) {
+                    for (var nI = 0, nL = nameList.length; nI < nL; nI++) {
+                        if (! settingSchema.hasOwnProperty(nameList[nI]) || ! settingSchema[nameList[nI]].inName) {
+                            return "setting " + nameList[nI] + " can not be inherited";
+                        }
+                    }
+                    return null;
+                }
+            },
+            inclusionTimeout: {
+                type: "number", 
+                inName: true, 
+                value: 0,
+                validate: function(nValue) {
+                    return nValue >= 0 ? null : "non-negative number is expected";
+                }
+            },
+            interpolate: {type: "boolean", inName: true, value: false},
+            parse: {type: "function", inName: false},
+            pluginName: {type: "string", inName: false, value: "view"},
+            processIf: {type: "function", inName: false},
+            processTag: {type: "function", inName: false},
+            result: {type: "enum", inName: true, value: "text", values: ["text", "object", "fragment", "factory"]},
+            rules: {
+                type: "object", 
+                inName: false, 
+                value: null,
+                validate: function(ruleList) {
+                    var nI, nL, rule;
+                    if (Object.prototype.toString.call(ruleList) !== "[object Array]") {
+                        return "list of rules is expected";
+                    }
+                    for (nI = 0, nL = ruleList.length; nI < nL; nI++) {
+                        rule = ruleList[nI];
+                        if (! rule || typeof rule !== "object" 
+                                || ! (typeof rule.test === "string" || typeof rule.test === "function" || rule.test instanceof RegExp)
+                                || ! rule.settings || typeof rule.settings !== "object") {
+                            return "rule " + nI + " should have test (RegExp, String or Function) and settings (Object) fields";
+                        }
+                    }
+                    return null;
+                }
+            },
+            vars: {type: "object", inName: false, value: null}
         },
+        // Default configuration
+        defaultConfig = getDefaultSettings(),
+        // Registered directives. Keys are directive names (values of rel attribute in lower case),
+        // values are objects with handler field (function processing the directive) and attr field
+        // (name of attribute that is required for the directive)
+        directiveMap = {},
         // Regular expression to check plugin prefix
         pluginRegExp = /^\w+!/,
         // Beginning and ending of inclusion directive
         sInclusionStart = '<link rel="x-include" href="',
-        sInclusionEnd = '">';
+        sInclusionEnd = '">',
+        // Markers of layout blocks and slots
+        sBlockStart = "<!--view-block:",
+        sBlockClose = "<!--/view-block:",
+        sSlotStart = "<!--view-slot:",
+        // Markers of content of paired inclusion directive
+        sContentStart = "<!--view-content:",
+        sContentClose = "<!--/view-content:",
+        sMarkerEnd = "-->",
+        // Name of tag that represents paired inclusion directive
+        sPairedInclusionTag = "x-include",
+        // Regular expression to find placeholder of content of paired inclusion directive
+        contentRegExp = /\{\{\{?\s*content\s*\}?\}\}/,
+        // Regular expression to check extension of JSON-file
+        jsonRegExp = /\.json$/i;
+
+    /**
+     * Returns default values of configuration settings that are described in settings schema.
+     * 
+     * @return {Object}
+     *      Default configuration. Keys are setting names, values - corresponding default values.
+     */
+    function getDefaultSettings() {
+        var result = {},
+            sName;
+        for (sName in settingSchema) {
+            if (settingSchema.hasOwnProperty(sName) && "value" in settingSchema[sName]) {
+                result[sName] = settingSchema[sName].value;
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Converts value of the setting to the type that is specified in settings schema.
+     * 
+     * @param {String} sName
+     *      Name of the setting.
+     * @param {Any} value
+     *      Value to convert.
+     * @param {Object} schema
+     *      Description of the setting (see <code>settingSchema</code>).
+     * @return {Any}
+     *      Converted value.
+     * @throws {Error}
+     *      When the value is invalid.
+     */
+    function convertSetting(sName, value, schema) {
+        var sType = schema.type,
+            sProblem = null,
+            source = value,
+            list, nI, nL;
+        if (value === null && "value" in schema && schema.value === null) {
+            return value;
+        }
+        switch (sType) {
+            case "boolean":
+                if (value === "true" || value === "1") {
+                    value = true;
+                }
+                else if (value === "false" || value === "0") {
+                    value = false;
+                }
+                if (typeof value !== "boolean") {
+                    sProblem = "true or false is expected";
+                }
+                break;
+            case "number":
+                if (typeof value === "string" && value) {
+                    value = Number(value);
+                }
+                if (typeof value !== "number" || isNaN(value)) {
+                    sProblem = "number is expected";
+                }
+                break;
+            case "list":
+                list = typeof value === "string"
+                        ? value.split(",")
+                        : value;
+                if (Object.prototype.toString.call(list) === "[object Array]") {
+                    value = [];
+                    for (nI = 0, nL = list.length; nI < nL; nI++) {
+                        if (typeof list[nI] !== "string") {
+                            sProblem = "list of strings is expected";
+                            break;
+                        }
+                        if (list[nI] = list[nI].replace(/^\s+|\s+$/g, "")) {
+                            value.push(list[nI]);
+                        }
+                    }
+                }
+                else {
+                    sProblem = "list of strings is expected";
+                }
+                break;
+            case "regexp":
+                if (value === "") {
+                    value = null;
+                }
+                else if (typeof value === "string") {
+                    try {
+                        value = new RegExp(value);
+                    }
+                    catch (e) {
+                        sProblem = e.message;
+                    }
+                }
+                else if (! (value instanceof RegExp)) {
+                    sProblem = "regular expression is expected";
+                }
+                break;
+            case "enum":
+                for (nI = 0, nL = schema.values.length; nI < nL; nI++) {
+                    if (schema.values[nI] === value) {
+                        break;
+                    }
+                }
+                if (nI === nL) {
+                    sProblem = "one of the following values is expected: " + schema.values.join(", ");
+                }
+                break;
+            default:
+                if (typeof value !== sType) {
+                    sProblem = sType + " is expected";
+                }
+        }
+        if (! sProblem && schema.validate) {
+            sProblem = schema.validate(value);
+        }
+        if (sProblem) {
+            throw new Error("invalid value " 
+                                + (typeof source === "string" 
+                                    ? '"' + source + '" ' 
+                                    : (source && typeof source === "object" ? "" : String(source) + " "))
+                                + "of setting " + sName + " - " + sProblem);
+        }
+        return value;
+    }
 
     /**
-     * Converts setting values to the appropriate type that is determined on data from default configuration.
+     * Converts setting values to the appropriate type that is determined by settings schema 
+     * (see <code>settingSchema</code>).
+     * Strings are parsed according to the type of the setting: for example, a list is a comma-separated string
+     * (<code>directiveTag=link,x-use</code>), a regular expression is the source of the expression.
+     * Settings that are not described in the schema are left as is.
      * 
      * @param {Object} settings
      *      Settings map to process. Keys are setting names, values - corresponding values.
+     * @param {Boolean} [bName]
+     *      Whether the settings are extracted from resource name.
+     *      In that case unknown settings and settings that can not be set in resource name are rejected.
      * @return {Object}
      *      Processed settings map.
+     * @throws {Error}
+     *      When a setting is unknown or has invalid value.
      */
-    function convertSettings(settings) {
-        var defaultValues = defaultConfig,
-            sName, sType, value;
+    function convertSettings(settings, bName) {
+        var sName, schema;
         for (sName in settings) {
-            if (sName in defaultValues) {
-                sType = typeof defaultValues[sName];
-                value = settings[sName];
-                if (sType !== typeof value) {
-                    switch (sType) {
-                        case "number":
-                            settings[sName] = Number(value);
-                            break;
-                        case "boolean":
-                            settings[sName] = ! (value === "false" || value === 0);
-                            break;
-                    }
+            if (settingSchema.hasOwnProperty(sName)) {
+                schema = settingSchema[sName];
+                if (bName && ! schema.inName) {
+                    throw new Error("setting " + sName + " can not be set in resource name");
                 }
+                if (settings[sName] !== undefined) {
+                    settings[sName] = convertSetting(sName, settings[sName], schema);
+                }
+            }
+            else if (bName) {
+                throw new Error("unknown setting " + sName);
             }
         }
         return settings;
     }
 
+    /**
+     * Checks whether the given dependency is a CSS-file (namely whether it is loaded by <code>css!</code>, <code>link!</code>
+     * or the plugin that is specified in <code>cssLoader</code> setting).
+     * 
+     * @param {String} sName
+     *      Name of the dependency.
+     * @param {Object} settings
+     *      Processing settings/configuration. See {@link #parse}.
+     * @return {Boolean}
+     *      <code>true</code> if the dependency is a CSS-file, <code>false</code> otherwise.
+     */
+    function isCssDependency(sName, settings) {
+        var sPrefix = pluginRegExp.test(sName) 
+                        ? sName.substring(0, sName.indexOf("!")) 
+                        : "";
+        return sPrefix === "css" || sPrefix === "link" || sPrefix === settings.cssLoader;
+    }
+
+    /**
+     * Resolves relative path that is contained in the given resource name against the name of the processed view
+     * and adds default file extension to the path if it is necessary.
+     * Plugin prefix and settings suffix (<code>!name=value;...</code>) of the resource name are retained.
+     * 
+     * @param {String} sName
+     *      Resource name to process.
+     * @param {Object} settings
+     *      Processing settings/configuration. See {@link #parse}.
+     * @param {String} [sDefaultExt]
+     *      Default file extension that should be added.
+     * @return {String}
+     *      Processed resource name.
+     */
+    function refineName(sName, settings, sDefaultExt) {
+        var baseUtil = settings.api.util.base,
+            sPrefix = "",
+            sSuffix = "",
+            nI;
+        if (pluginRegExp.test(sName)) {
+            nI = sName.indexOf("!") + 1;
+            sPrefix = sName.substring(0, nI);
+            sName = sName.substring(nI);
+        }
+        nI = sName.indexOf("!");
+        if (nI > -1) {
+            sSuffix = sName.substring(nI);
+            sName = sName.substring(0, nI);
+        }
+        sName = baseUtil.resolvePath(sName, settings.viewName);
+        if (sDefaultExt && (! settings.dontAddFileExt || ! settings.dontAddFileExt.test(sPrefix + sName + sSuffix))) {
+            sName = baseUtil.nameWithExt(sName, sDefaultExt);
+        }
+        return sPrefix + sName + sSuffix;
+    }
+
+    /**
+     * Adds settings that should be inherited (see <code>inherit</code> setting) into the name of the included view.
+     * Settings that are specified in the name take precedence over inherited settings.
+     * Names of resources that are not loaded by the plugin are returned as is.
+     * 
+     * @param {String} sName
+     *      Resource name to process.
+     * @param {Object} settings
+     *      Processing settings/configuration of the view containing the inclusion. See {@link #parse}.
+     * @return {String}
+     *      Processed resource name.
+     * @throws {Error}
+     *      When value of an inherited setting can not be represented in resource name.
+     */
+    function inheritSettings(sName, settings) {
+        var inheritList = settings.inherit,
+            sPrefix = settings.pluginName + "!",
+            partList = [],
+            nameMap, nI, nL, sKey, separator, value;
+        if (! inheritList || ! inheritList.length || sName.indexOf(sPrefix) !== 0) {
+            return sName;
+        }
+        nI = sName.indexOf("!", sPrefix.length);
+        nameMap = nI > -1
+                    ? settings.api.util.string.extractSettings(sName.substring(nI + 1))
+                    : {};
+        // The list of inherited settings is inherited as well
+        inheritList = ["inherit"].concat(inheritList);
+        for (nI = 0, nL = inheritList.length; nI < nL; nI++) {
+            sKey = inheritList[nI];
+            if (nameMap.hasOwnProperty(sKey)) {
+                continue;
+            }
+            nameMap[sKey] = true;
+            value = settings[sKey];
+            if (value == null) {
+                value = "";
+            }
+            else if (value instanceof RegExp) {
+                value = value.source;
+            }
+            else if (Object.prototype.toString.call(value) === "[object Array]") {
+                value = value.join(",");
+            }
+            value = String(value);
+            // ";" separates settings and "!" separates settings from resource name
+            separator = /[;!]/.exec(value);
+            if (separator) {
+                throw new Error("value of setting " + sKey + " can not be inherited because it contains " + separator[0]);
+            }
+            partList.push(sKey + "=" + value);
+        }
+        return partList.length
+                ? sName + (sName.indexOf("!", sPrefix.length) > -1 ? ";" : "!") + partList.join(";")
+                : sName;
+    }
+
     /**
      * In the specified text looks for the first tag which can represent the dependency directive.
+     * Tags inside comments and inside <code>script</code>, <code>style</code>, <code>template</code>
+     * and <code>textarea</code> elements are skipped.
      * 
      * @param {String} sText
      *      Text to look for a tag.
@@ -220,35 +1019,21 @@
      *      <ul>
      *      <li>name - String - name of found tag
      *      <li>position - Integer - position of found tag (namely position of the corresponding &lt; (less than sign))
-     *      <li>tagStart - String - start of found tag ending by a space (i.e. "<tag-name ")
+     *      <li>tagStart - String - start of found tag ending by whitespace (i.e. "<tag-name ")
      *      </ul>
      */
     defaultConfig.findTag = function(sText, nStart, settings) {
-        var result = null,
-            tagList = settings.directiveTag,
-            nI, nK, nL, sName;
+        var tagList = settings.directiveTag;
         if (typeof tagList === "string") {
             tagList = [tagList];
         }
-        for (nI = 0, nL = tagList.length; nI < nL; nI++) {
-            sName = tagList[nI];
-            nK = sText.indexOf("<" + sName + " ", nStart);
-            if (nK > -1 && (! result || nK < result.position)) {
-                if (! result) {
-                    result = {};
-                }
-                result.position = nK;
-                result.name = sName;
-            }
-        }
-        if (result) {
-            result.tagStart = "<" + result.name + " ";
-        }
-        return result;
+        return settings.api.util.html.findTag(sText, nStart, tagList);
     };
 
     /**
      * Determines whether a tag is useful and defines a dependency or the tag should be simply deleted.
+     * A tag is useful when its <code>rel</code> attribute contains name of a registered directive (see {@link #registerDirective})
+     * and the tag has attribute that is required by the directive.
      * 
      * @param {String} sTagText
      *      The entire tag's text (html) to process.
@@ -260,20 +1045,52 @@
      *      <code>true</code> if the tag is useful, <code>false</code> if the tag should be deleted.
      */
     defaultConfig.filterTag = function(sTagText, attrMap, settings) {
-        var sType = attrMap.rel ? attrMap.rel.toLowerCase() : null;
-        return sType && attrMap.href &&
-                (sType === "stylesheet" || sType === "css"
-                    || sType === "include" || sType === "x-include"
-                    || sType === "require" || sType === "x-require");
+        var sType = attrMap.rel ? attrMap.rel.toLowerCase() : null,
+            directive = sType && directiveMap.hasOwnProperty(sType) ? directiveMap[sType] : null;
+        return Boolean(directive) && (! directive.attr || Boolean(attrMap[directive.attr]));
     };
 
     /**
-     * Determines depending on the value of <code>data-if</code> attribute of inclusion directive whether the directive should be processed.
+     * Calculates value of expression that is specified in a directive attribute.
      * <br>
-     * Result of eval'ing of the value of <code>data-if</code> attribute is used to determine whether inclusion directive should be processed.
+     * By default the expression is evaluated without eval'ing by expression evaluator (see <code>util/expression</code>).
+     * The following identifiers are available in the expression:
+     * <ul>
+     * <li><code>data</code> and <code>settings</code> - processing settings/configuration (<code>data.settings</code>)
+     * <li><code>attr</code> - attributes of the directive (<code>data.attrMap</code>)
+     * <li><code>this</code> - <code>data</code> parameter
+     * <li>fields of <code>vars</code> setting
+     * </ul>
+     * When value of <code>ifMode</code> setting is <code>"eval"</code>, the expression is eval'ed.
      * eval'ing is made by using call of anonymous function. The function is called in context of <code>data</code> parameter 
      * and <code>data.settings</code> is passed as the function parameter with name <code>data</code>.
      * 
+     * @param {String} sExpression
+     *      Expression to evaluate.
+     * @param {Object} data
+     *      Represents data for the operation. See {@link #processIf}.
+     * @return {Any}
+     *      Value of the expression.
+     */
+    function evaluate(sExpression, data) {
+        var settings = data.settings,
+            scope;
+        if (settings.ifMode === "eval") {
+            return (new Function("data", "return (" + sExpression + ")")).call(data, settings);
+        }
+        scope = settings.api.util.object.mix({}, settings.vars);
+        scope.data = scope.settings = settings;
+        scope.attr = data.attrMap;
+        scope["this"] = data;
+        return settings.api.util.expression.evaluate(sExpression, scope);
+    }
+
+    /**
+     * Determines depending on the value of <code>data-if</code> attribute of inclusion directive whether the directive should be processed.
+     * <br>
+     * Result of evaluation of the value of <code>data-if</code> attribute is used to determine whether inclusion directive should be processed.
+     * See {@link #evaluate} for details.
+     * 
      * @param {Object} data
      *      Represents data for the operation. The object has the following fields (name - type - description):
      *      <ul>
@@ -287,12 +1104,21 @@
      *      <code>true</code> if the inclusion directive should be processed, <code>false</code> if the directive should be deleted.
      */
     defaultConfig.processIf = function(data) {
-        return Boolean( (new Function("data", "return (" + data.condition + ")")).call(data, data.settings) );
+        return Boolean( evaluate(data.condition, data) );
     };
 
     /**
      * Processes a tag found during parsing and returns object that describes action
      * that should be taken upon this tag. 
+     * The tag is processed by handler of the directive whose name is specified in <code>rel</code> attribute 
+     * (see {@link #registerDirective}).
+     * <br>
+     * When <code>data-if</code> attribute of inclusion directive is evaluated to false, the resource specified
+     * in <code>data-else</code> attribute is included instead (if the attribute is set).
+     * <br>
+     * When inclusion directive has <code>data-each</code> attribute, the attribute value is evaluated (see {@link #evaluate})
+     * and the inclusion is repeated for each item of the resulting array. <code>item</code> and <code>index</code> fields
+     * of data of each inclusion instance contain the corresponding item and its index.
      * 
      * @param {String} sTagText
      *      The entire tag's text (html) to process.
@@ -314,72 +1140,1365 @@
      *                  fields are attributes names (without <code>data-</code> prefix), values are corresponding attributes values
      *              <li><code>name</code> - <code>String</code> - the name of inclusion
      *              </ul>
+     *              the field's value can be an array of such objects when the inclusion should be repeated
+     *              (see <code>data-each</code> attribute); each object forms separate inclusion instance
+     *      <li>layout - String, null - an optional field containing name of the layout that the resource extends;
+     *              the name should be included into the dependency list as well
+     *      <li>block - String, null - an optional field containing name of the layout block that is started by the tag;
+     *              the block is ended by the corresponding closing tag
      *      <li>text - String - tag text after processing; will substitute for the original text
-     *              in parsed resource; should be empty to delete the tag from resource.
+     *              in parsed resource; should be empty to delete the tag from resource;
+     *              it is ignored for inclusion because the directive is replaced by the marker of the inclusion instance.
      *      </ul>
      */
     defaultConfig.processTag = function(sTagText, attrMap, settings) {
         var result = {dependency: null, inclusion: null, text: ""},
-            data, sName, sType;
+            sType;
         if (settings.filterTag(sTagText, attrMap, settings)) {
-            sName = attrMap.href;
             sType = attrMap.rel.toLowerCase();
-            // CSS
-            if (sType === "stylesheet" || sType === "css") {
-                result.dependency = sName.indexOf("css!") === 0 || sName.indexOf("link!") === 0
-                                    ? sName 
-                                    : settings.cssLoader + "!" + sName;
-            }
-            // Inclusion
-            else if (sType === "include" || sType === "x-include") {
-                if (! ("data-if" in attrMap) || settings.processIf({condition: attrMap["data-if"], 
-                                                                    resource: sName, 
-                                                                    tagText: sTagText, 
-                                                                    attrMap: attrMap, 
-                                                                    settings: settings})) {
-                    if (! pluginRegExp.test(sName)) {
-                        sName = (attrMap.type || settings.inclusionLoader) + "!" + sName;
-                    }
-                    if (! settings.dontAddFileExt || ! settings.dontAddFileExt.test(sName)) {
-                        sName = settings.api.util.base.nameWithExt(sName, settings.defaultInclusionExt);
-                    }
-                    result.dependency = sName;
-                    result.text = sInclusionStart + sName + sInclusionEnd;
-                    result.inclusion = {name: sName};
-                    // Save values of data- attributes
-                    for (sName in attrMap) {
-                        if (sName.substring(0, 5) === "data-") {
-                            (data || (data = {}))[sName.substring(5)] = attrMap[sName];
-                        }
-                    }
-                    if (data) {
-                        result.inclusion.data = data;
-                    }
-                }
-            }
-            // Dependency
-            else if (sType === "require" || sType === "x-require") {
-                if (attrMap.type && ! pluginRegExp.test(sName)) {
-                    sName = attrMap.type + "!" + sName;
-                }
-                result.dependency = sName;
-            }
+            settings.api.util.object.mix(result, 
+                                            directiveMap[sType].handler({
+                                                type: sType,
+                                                resource: attrMap.href ? refineName(attrMap.href, settings) : null,
+                                                tagText: sTagText,
+                                                attrMap: attrMap,
+                                                settings: settings
+                                            }));
         }
         return result;
     };
     
-    define(["./util/base", "./util/object", "./util/string", "module"], function(basicUtil, objUtil, strUtil, module) {
-        
-        var reconfig = {};
-        
-        /**
-         * Parses the given text and searches for &lt;link&gt; tags that are related to dependency directives.
-         * Found tags are removed from the text, extracted resource names form dependency list. 
-         * 
-         * @param {String} sText
-         *      Text to process.
-         * @param {Object} settings
-         *      Processing settings/configuration. Besides settings the object contains 'api' field
+    /**
+     * Registers directive that can be used in views. The directive is a tag whose <code>rel</code> attribute 
+     * contains name of the directive. A directive with the same name that is registered earlier
+     * (including built-in directive) is replaced.
+     * 
+     * @param {String} sName
+     *      Name of the directive. Names are case-insensitive.
+     * @param {Function} handler
+     *      Function that should be used to process the directive. 
+     *      The function takes the object with the following fields (name - type - description):
+     *      <ul>
+     *      <li>type - String - name of the directive in lower case
+     *      <li>resource - String, null - resource name from <code>href</code> attribute of the directive;
+     *              relative path is resolved against the name of the view containing the directive
+     *      <li>tagText - String - text of the tag of the directive
+     *      <li>attrMap - Object - attributes of the tag; keys are attribute names, values are corresponding values
+     *      <li>settings - Object - processing settings/configuration
+     *      </ul>
+     *      The function should return an object that can have the same fields as result of <code>processTag</code>
+     *      (<code>dependency</code>, <code>inclusion</code>, <code>text</code>, <code>layout</code>, <code>block</code>).
+     *      Omitted fields have the default values (no dependency, no inclusion and empty text).
+     * @param {String | null} [sAttr]
+     *      Name of attribute that is required for the directive: a tag without the attribute is deleted.
+     *      The default value is <code>"href"</code>. <code>null</code> means that no attribute is required.
+     */
+    function registerDirective(sName, handler, sAttr) {
+        directiveMap[sName.toLowerCase()] = {
+            handler: handler,
+            attr: typeof sAttr === "undefined" ? "href" : sAttr
+        };
+    }
+    
+    /**
+     * Processes CSS directive.
+     * 
+     * @param {Object} data
+     *      Data about the directive. See {@link #registerDirective}.
+     * @return {Object}
+     *      Processing result.
+     */
+    function processCssDirective(data) {
+        var sName = data.resource;
+        return {
+            dependency: sName.indexOf("css!") === 0 || sName.indexOf("link!") === 0
+                        ? sName 
+                        : data.settings.cssLoader + "!" + sName
+        };
+    }
+    
+    /**
+     * Processes inclusion directive.
+     * 
+     * @param {Object} data
+     *      Data about the directive. See {@link #registerDirective}.
+     * @return {Object}
+     *      Processing result.
+     */
+    function processInclusionDirective(data) {
+        var attrMap = data.attrMap,
+            settings = data.settings,
+            sName = data.resource,
+            result = {},
+            inclData, itemList, nI, nL, sKey;
+        if (("data-if" in attrMap) && ! settings.processIf({condition: attrMap["data-if"], 
+                                                            resource: sName, 
+                                                            tagText: data.tagText, 
+                                                            attrMap: attrMap, 
+                                                            settings: settings})) {
+            // Alternative inclusion
+            sName = attrMap["data-else"] 
+                        ? refineName(attrMap["data-else"], settings)
+                        : null;
+        }
+        if (sName) {
+            if (! pluginRegExp.test(sName)) {
+                sName = (attrMap.type || settings.inclusionLoader) + "!" + sName;
+            }
+            sName = inheritSettings(refineName(sName, settings, settings.defaultInclusionExt), settings);
+            // Save values of data- attributes
+            for (sKey in attrMap) {
+                if (sKey.substring(0, 5) === "data-") {
+                    (inclData || (inclData = {}))[sKey.substring(5)] = attrMap[sKey];
+                }
+            }
+            // Repeated inclusion
+            if ("data-each" in attrMap) {
+                itemList = evaluate(attrMap["data-each"], {expression: attrMap["data-each"], 
+                                                            resource: sName, 
+                                                            tagText: data.tagText, 
+                                                            attrMap: attrMap, 
+                                                            settings: settings});
+                if (itemList == null) {
+                    itemList = [];
+                }
+                else if (Object.prototype.toString.call(itemList) !== "[object Array]") {
+                    throw new Error("value of data-each attribute is not an array: " + attrMap["data-each"]);
+                }
+                result.inclusion = [];
+                for (nI = 0, nL = itemList.length; nI < nL; nI++) {
+                    result.inclusion.push({
+                        name: sName, 
+                        data: settings.api.util.object.mix({}, inclData, {item: itemList[nI], index: nI})
+                    });
+                }
+                if (nL) {
+                    result.dependency = sName;
+                }
+            }
+            else {
+                result.dependency = sName;
+                result.inclusion = {name: sName};
+                if (inclData) {
+                    result.inclusion.data = inclData;
+                }
+            }
+        }
+        return result;
+    }
+    
+    /**
+     * Processes dependency directive.
+     * 
+     * @param {Object} data
+     *      Data about the directive. See {@link #registerDirective}.
+     * @return {Object}
+     *      Processing result.
+     */
+    function processRequireDirective(data) {
+        var sName = data.resource,
+            sType = data.attrMap.type;
+        return {
+            dependency: sType && ! pluginRegExp.test(sName)
+                            ? sType + "!" + sName
+                            : sName
+        };
+    }
+    
+    /**
+     * Processes layout directive.
+     * 
+     * @param {Object} data
+     *      Data about the directive. See {@link #registerDirective}.
+     * @return {Object}
+     *      Processing result.
+     */
+    function processExtendsDirective(data) {
+        var settings = data.settings,
+            sName = data.resource;
+        if (! pluginRegExp.test(sName)) {
+            sName = settings.pluginName + "!" + sName;
+        }
+        sName = inheritSettings(refineName(sName, settings, settings.defaultExt), settings);
+        return {
+            dependency: sName,
+            layout: sName
+        };
+    }
+    
+    registerDirective("stylesheet", processCssDirective);
+    registerDirective("css", processCssDirective);
+    registerDirective("include", processInclusionDirective);
+    registerDirective("x-include", processInclusionDirective);
+    registerDirective("require", processRequireDirective);
+    registerDirective("x-require", processRequireDirective);
+    registerDirective("extends", processExtendsDirective);
+    // Data is loaded before parsing (see load method) so the directive is simply deleted
+    registerDirective("data", function(data) {
+        if (! data.attrMap.name) {
+            throw new Error("name attribute is not specified");
+        }
+        return {};
+    });
+    // Layout block
+    registerDirective("block", function(data) {
+        return {block: data.attrMap.name};
+    }, "name");
+    // Layout slot
+    registerDirective("slot", function(data) {
+        return {text: sSlotStart + data.attrMap.name + sMarkerEnd};
+    }, "name");
+    
+    /**
+     * Converts the given value into JavaScript code that represents the value (string literal, object literal etc).
+     * 
+     * @param {Any} value
+     *      Value to convert. Should be serializable into JSON.
+     * @return {String}
+     *      JavaScript code representing the value.
+     */
+    function toCode(value) {
+        return JSON.stringify(value)
+                .replace(/\u2028/g, "\\u2028")
+                .replace(/\u2029/g, "\\u2029");
+    }
+    
+    define(["./util/base", "./util/expression", "./util/html", "./util/object", "./util/string", "module", "require"], 
+            function(basicUtil, exprUtil, htmlUtil, objUtil, strUtil, module, localRequire) {
+        
+        var reconfig = {},
+            // Parsing results of resources that are loaded during build (r.js)
+            buildMap = {},
+            // States of loading chains that are in progress (see getState)
+            stateList = [];
+        
+        /**
+         * Creates error object.
+         * 
+         * @param {String} sMessage
+         *      Error message.
+         * @param {Object} [fields]
+         *      Additional fields that should be added into error object.
+         * @return {Error}
+         *      Created error object.
+         */
+        function createError(sMessage, fields) {
+            return objUtil.mix(new Error("view! plugin: " + sMessage), fields);
+        }
+        
+        /**
+         * Notifies loader about failed loading of a resource.
+         * 
+         * @param {Function} callback
+         *      Loader's callback for the resource. Its <code>error</code> (require.js, curl.js) 
+         *      or <code>reject</code> (curl.js) method will be called if it is available.
+         *      Otherwise the error will be thrown.
+         * @param {Error} error
+         *      Object describing the failure.
+         */
+        function fail(callback, error) {
+            if (typeof callback.error === "function") {
+                callback.error(error);
+            }
+            else if (typeof callback.reject === "function") {
+                callback.reject(error);
+            }
+            else {
+                throw error;
+            }
+        }
+        
+        /**
+         * Returns state of the loading chain that is identified by the configuration passed by loader.
+         * Views that are loaded with different configuration objects (for example, by different calls of <code>render</code> 
+         * method or of Node.js adapter) do not share the state. The state is created when it does not exist.
+         * 
+         * @param {Object} config
+         *      Configuration that is passed by loader.
+         * @return {Object}
+         *      State of the loading chain. The object has the following fields (name - type - description):
+         *      <ul>
+         *      <li>config - Object - configuration that identifies the chain
+         *      <li>count - Integer - number of views that are being loaded
+         *      <li>viewMap - Object - views that are being loaded; keys are view names, values are lists of views
+         *              that are included into the corresponding view
+         *      <li>dataMap - Object - data that is loaded by data directives of views that are being loaded; 
+         *              keys are view names, values are objects containing data of the corresponding view and of the views including it
+         *      </ul>
+         */
+        function getState(config) {
+            var nI, nL, state;
+            for (nI = 0, nL = stateList.length; nI < nL; nI++) {
+                if (stateList[nI].config === config) {
+                    return stateList[nI];
+                }
+            }
+            state = {
+                config: config,
+                count: 0,
+                viewMap: {},
+                dataMap: {}
+            };
+            stateList.push(state);
+            return state;
+        }
+        
+        /**
+         * Registers the view in the state of the loading chain.
+         * 
+         * @param {Object} state
+         *      State of the loading chain (see {@link #getState}).
+         * @param {String} sName
+         *      Name of the view that is being loaded.
+         * @return {Array}
+         *      List that should be filled by names of views that are included into the view.
+         */
+        function addView(state, sName) {
+            if (! state.viewMap.hasOwnProperty(sName)) {
+                state.count++;
+            }
+            return (state.viewMap[sName] = []);
+        }
+        
+        /**
+         * Removes the view from the state of the loading chain. The state is discarded when no view is being loaded.
+         * 
+         * @param {Object} state
+         *      State of the loading chain (see {@link #getState}).
+         * @param {String} sName
+         *      Name of the view whose loading is finished.
+         */
+        function removeView(state, sName) {
+            var nI;
+            if (state.viewMap.hasOwnProperty(sName)) {
+                delete state.viewMap[sName];
+                delete state.dataMap[sName];
+                if (! --state.count) {
+                    for (nI = stateList.length - 1; nI > -1; nI--) {
+                        if (stateList[nI] === state) {
+                            stateList.splice(nI, 1);
+                        }
+                    }
+                }
+            }
+        }
+        
+        /**
+         * Returns chain of views that are being loaded and lead from one view to another through inclusions.
+         * 
+         * @param {Object} viewMap
+         *      Views that are being loaded (see {@link #getState}).
+         * @param {String} sFrom
+         *      Name of the view that is the start of the chain.
+         * @param {String} sTo
+         *      Name of the view that is the end of the chain.
+         * @param {Object} [visitMap]
+         *      Names of views that are already checked.
+         * @return {Array}
+         *      Names of views that form the chain or <code>null</code> if there is no such chain.
+         */
+        function findChain(viewMap, sFrom, sTo, visitMap) {
+            var viewList, chain, nI, nL;
+            if (sFrom === sTo) {
+                return [sFrom];
+            }
+            if (! visitMap) {
+                visitMap = {};
+            }
+            if (viewMap.hasOwnProperty(sFrom) && ! visitMap.hasOwnProperty(sFrom)) {
+                visitMap[sFrom] = true;
+                viewList = viewMap[sFrom];
+                for (nI = 0, nL = viewList.length; nI < nL; nI++) {
+                    if (chain = findChain(viewMap, viewList[nI], sTo, visitMap)) {
+                        return [sFrom].concat(chain);
+                    }
+                }
+            }
+            return null;
+        }
+        
+        /**
+         * Returns name of the view that is being loaded and includes the specified view.
+         * 
+         * @param {Object} viewMap
+         *      Views that are being loaded (see {@link #getState}).
+         * @param {String} sName
+         *      Name of the view.
+         * @param {Object} [visitMap]
+         *      Names of views that should be skipped.
+         * @return {String | null}
+         *      Name of the including view or <code>null</code> if there is no such view.
+         */
+        function findParent(viewMap, sName, visitMap) {
+            var viewList, nI, nL, sView;
+            for (sView in viewMap) {
+                if (viewMap.hasOwnProperty(sView) && ! (visitMap && visitMap.hasOwnProperty(sView))) {
+                    viewList = viewMap[sView];
+                    for (nI = 0, nL = viewList.length; nI < nL; nI++) {
+                        if (viewList[nI] === sName) {
+                            return sView;
+                        }
+                    }
+                }
+            }
+            return null;
+        }
+        
+        /**
+         * Returns nesting depth of the view that is being loaded.
+         * The depth is calculated by using views of the loading chain that are being processed at the moment.
+         * 
+         * @param {Object} viewMap
+         *      Views that are being loaded (see {@link #getState}).
+         * @param {String} sName
+         *      Name of the view.
+         * @return {Integer}
+         *      Nesting depth of the view: <code>0</code> for the view that is loaded directly,
+         *      <code>1</code> for the view that is included into such view etc.
+         */
+        function getDepth(viewMap, sName) {
+            var visitMap = {},
+                nDepth = 0;
+            visitMap[sName] = true;
+            while (sName = findParent(viewMap, sName, visitMap)) {
+                visitMap[sName] = true;
+                nDepth++;
+            }
+            return nDepth;
+        }
+        
+        /**
+         * Returns name of the view with file extension.
+         * 
+         * @param {String} sName
+         *      Name of the view without settings.
+         * @param {Object} settings
+         *      Settings that define whether and which extension should be added 
+         *      (<code>dontAddFileExt</code> and <code>defaultExt</code>).
+         * @return {String}
+         *      Name of the view with default file extension if it is necessary.
+         */
+        function getViewName(sName, settings) {
+            return settings.dontAddFileExt && settings.dontAddFileExt.test(sName)
+                    ? sName
+                    : basicUtil.nameWithExt(sName, settings.defaultExt);
+        }
+        
+        /**
+         * Creates settings/configuration that should be used to process the specified resource.
+         * Settings are merged in the following order: default values, <code>reconfig</code>, configuration that is passed by loader,
+         * settings of rules (see <code>rules</code> setting) that match the resource name and settings from the resource name.
+         * Rules are matched against the resource name without settings and with default file extension
+         * (e.g. <code>legacy/page.html</code> for <code>legacy/page!interpolate=true</code>) so that a view has the same name 
+         * whether it is loaded directly or included into another view.
+         * 
+         * @param {String} sResourceName
+         *      Name of the resource that should be processed. Can contain settings after <code>!</code> separator.
+         * @param {Object} config
+         *      Configuration that is passed by loader.
+         * @param {Object} api
+         *      The plugin API object.
+         * @return {Object}
+         *      Processing settings/configuration. Besides settings the object contains 'api' field
+         *      that represents the module API and 'viewName' field that contains name of the resource
+         *      without settings and with default file extension if it is necessary.
+         * @throws {Error}
+         *      When a setting is unknown or has invalid value (see {@link #convertSettings}).
+         */
+        function createSettings(sResourceName, config, api) {
+            var nI = sResourceName.indexOf("!"),
+                mix = objUtil.mix,
+                conf, nL, rule, ruleList, settings, sViewName;
+            if (nI > -1) {
+                // Settings that can not be set in resource name (e.g. ifMode) are rejected
+                settings = convertSettings(strUtil.extractSettings(sResourceName.substring(nI + 1)), true);
+                sResourceName = sResourceName.substring(0, nI);
+            }
+            // Adaptation for require.js
+            if (config && config.config && typeof config.config === "object" && config.config[module.id]) {
+                config = module.config();
+            }
+            // Default values of custom settings can be added into the schema after the plugin is loaded
+            conf = convertSettings(mix({}, getDefaultSettings(), defaultConfig, reconfig, config));
+            // Settings of matching rules are applied in the order of rules
+            if (conf.rules) {
+                ruleList = conf.rules;
+                sViewName = getViewName(sResourceName, mix({}, conf, settings));
+                for (nI = 0, nL = ruleList.length; nI < nL; nI++) {
+                    rule = ruleList[nI];
+                    if (typeof rule.test === "function"
+                            ? rule.test(sViewName)
+                            : (typeof rule.test === "string" ? new RegExp(rule.test) : rule.test).test(sViewName)) {
+                        mix(conf, convertSettings(mix({}, rule.settings)));
+                    }
+                }
+            }
+            mix(conf, settings);
+            conf.api = mix({}, api);
+            conf.viewName = getViewName(sResourceName, conf);
+            return conf;
+        }
+        
+        /**
+         * Returns value of the loaded resource.
+         * 
+         * @param {Function} loader
+         *      <code>require</code> function that was used to load the resource.
+         * @param {String} sName
+         *      Name of the resource.
+         * @return {Any}
+         *      Value of the resource.
+         */
+        function getResource(loader, sName) {
+            // require.js has require.defined
+            return loader( typeof loader.defined === "function" && loader.defined(sName)
+                            ? sName
+                            : loader.toUrl(sName) );
+        }
+        
+        /**
+         * Returns value of the view that is loaded during build.
+         * 
+         * @param {String} sName
+         *      Name of the view (without plugin prefix).
+         * @return {Object | null}
+         *      Parsing result for the view (see {@link #resolveBuild}) when its inclusions are made during build
+         *      and its value is text or object, otherwise <code>null</code>.
+         */
+        function getBuildValue(sName) {
+            var data = buildMap[sName];
+            return data && data.resolved && (data.settings.result === "text" || data.settings.result === "object")
+                    ? data
+                    : null;
+        }
+        
+        /**
+         * Reads text file from the file system during build by r.js.
+         * It is used instead of <code>text!</code> plugin whose callback is called without value during build.
+         * 
+         * @param {String} sUrl
+         *      Path of the file.
+         * @return {String | null}
+         *      Content of the file or <code>null</code> when the plugin works not in r.js.
+         * @throws {Error}
+         *      When the file can not be read.
+         */
+        function readBuildFile(sUrl) {
+            var sText;
+            // r.js adds nodeRequire to the global require
+            if (typeof require !== "function" || typeof require.nodeRequire !== "function") {
+                return null;
+            }
+            sText = require.nodeRequire("fs").readFileSync(sUrl, "utf8");
+            // Remove BOM
+            return sText.charAt(0) === "\uFEFF" ? sText.substring(1) : sText;
+        }
+        
+        /**
+         * Checks whether the value of the loaded resource can be inserted into a view.
+         * 
+         * @param {Any} value
+         *      Value of the resource.
+         * @param {String} sName
+         *      Name of the resource.
+         * @return {Any}
+         *      The passed value.
+         * @throws {Error}
+         *      When the value is DOM fragment or factory of fragments (result of a view with <code>fragment</code> 
+         *      or <code>factory</code> value of <code>result</code> setting).
+         */
+        function checkInclusion(value, sName) {
+            if (value && ((typeof value === "object" && value.nodeType === 11) 
+                            || (typeof value === "function" && value.isViewFactory === true))) {
+                throw createError("included view " + sName + " should have text or object result");
+            }
+            return value;
+        }
+        
+        /**
+         * Fills slots of the layout by contents of the corresponding blocks of the view.
+         * Text of the view outside of blocks is discarded. Blocks that have no corresponding slots are ignored.
+         * Slots that have no corresponding blocks are retained so they can be filled by a view extending the result.
+         * 
+         * @param {String} sText
+         *      Text of the view containing blocks (see {@link #parse}).
+         * @param {String} sLayout
+         *      Text of the layout containing slots.
+         * @return {String}
+         *      Text of the layout with filled slots.
+         */
+        function applyLayout(sText, sLayout) {
+            var blockMap = {},
+                nI = 0,
+                nEnd, nK, sContent, sMarker, sName;
+            // Extract contents of blocks
+            while ((nI = sText.indexOf(sBlockStart, nI)) > -1) {
+                nK = sText.indexOf(sMarkerEnd, nI);
+                sName = sText.substring(nI + sBlockStart.length, nK);
+                nK += sMarkerEnd.length;
+                sMarker = sBlockClose + sName + sMarkerEnd;
+                nEnd = sText.indexOf(sMarker, nK);
+                if (nEnd < 0) {
+                    break;
+                }
+                blockMap[sName] = sText.substring(nK, nEnd);
+                nI = nEnd + sMarker.length;
+            }
+            // Fill slots
+            nI = 0;
+            while ((nI = sLayout.indexOf(sSlotStart, nI)) > -1) {
+                nK = sLayout.indexOf(sMarkerEnd, nI) + sMarkerEnd.length;
+                sName = sLayout.substring(nI + sSlotStart.length, nK - sMarkerEnd.length);
+                if (blockMap.hasOwnProperty(sName)) {
+                    sContent = blockMap[sName];
+                    sLayout = sLayout.substring(0, nI) + sContent + sLayout.substring(nK);
+                    nI += sContent.length;
+                }
+                else {
+                    nI = nK;
+                }
+            }
+            return sLayout;
+        }
+        
+        /**
+         * Finds data directives in the given text.
+         * 
+         * @param {String} sText
+         *      Text of the view.
+         * @param {Object} settings
+         *      Processing settings/configuration. See {@link #parse}.
+         * @return {Array}
+         *      List of found directives. Each item is an object with the following fields (name - type - description):
+         *      <ul>
+         *      <li>name - String - name under which the data should be available
+         *      <li>dependency - String - name of the resource that should be loaded
+         *      <li>json - Boolean - whether the resource is loaded as text that should be parsed as JSON
+         *      <li>tag - String - text of the directive
+         *      </ul>
+         */
+        function findDataDirectives(sText, settings) {
+            var findTag = settings.findTag,
+                foundTag = findTag(sText, 0, settings),
+                result = [],
+                attrMap, bJson, nK, nStartLen, sName, sTag;
+            while (foundTag) {
+                nStartLen = foundTag.tagStart.length;
+                nK = htmlUtil.findTagEnd(sText, foundTag.position + nStartLen);
+                if (nK < 0) {
+                    break;
+                }
+                sTag = sText.substring(foundTag.position, nK + 1);
+                attrMap = strUtil.extractAttributes( sTag.substring(nStartLen, sTag.length - 1) );
+                if (attrMap.rel && attrMap.rel.toLowerCase() === "data" && attrMap.name 
+                        && settings.filterTag(sTag, attrMap, settings)) {
+                    sName = refineName(attrMap.href, settings);
+                    // JSON-file is loaded as text when plugin is not specified
+                    bJson = ! pluginRegExp.test(sName) && jsonRegExp.test(sName);
+                    result.push({
+                        name: attrMap.name,
+                        dependency: bJson ? "text!" + sName : sName,
+                        json: bJson,
+                        tag: sTag
+                    });
+                }
+                foundTag = findTag(sText, nK + 1, settings);
+            }
+            return result;
+        }
+        
+        /**
+         * Creates function similar to <code>require</code> that resolves relative names of resources 
+         * (that start with <code>./</code> or <code>../</code>) against the name of the specified view.
+         * 
+         * @param {Function} loader
+         *      <code>require</code> function that should be used to load resources.
+         * @param {String} [sViewName]
+         *      Name of the view.
+         * @return {Function}
+         *      Created function. It has <code>toUrl</code> method as well.
+         */
+        function bindRequire(loader, sViewName) {
+            var req;
+            
+            function resolve(sName) {
+                var nI = pluginRegExp.test(sName) ? sName.indexOf("!") + 1 : 0,
+                    nK = sName.indexOf("!", nI);
+                if (nK < 0) {
+                    nK = sName.length;
+                }
+                return sViewName
+                        ? sName.substring(0, nI) + basicUtil.resolvePath(sName.substring(nI, nK), sViewName) + sName.substring(nK)
+                        : sName;
+            }
+            
+            req = function(deps, callback, errback) {
+                var depList = [],
+                    nI, nL;
+                if (typeof deps === "string") {
+                    return getResource(loader, resolve(deps));
+                }
+                for (nI = 0, nL = deps.length; nI < nL; nI++) {
+                    depList[nI] = resolve(deps[nI]);
+                }
+                return loader(depList, callback, errback);
+            };
+            req.toUrl = function(sName) {
+                return loader.toUrl(resolve(sName));
+            };
+            return req;
+        }
+        
+        /**
+         * Creates function similar to <code>require</code> that is used to render a view.
+         * Views that are loaded by the function (with the plugin prefix) are processed with the given configuration 
+         * and are not cached by the loader, so data of rendering is available in included views and layouts.
+         * Each view is loaded once by the function. Other resources are loaded by the specified loader.
+         * 
+         * @param {Object} api
+         *      Plugin API object that should be used to load views.
+         * @param {Function} loader
+         *      <code>require</code> function that should be used to load other resources.
+         * @param {String} sPrefix
+         *      Plugin prefix (including <code>!</code>) of views.
+         * @param {Object} config
+         *      Configuration that should be used to load views.
+         * @return {Function}
+         *      Created function. It has <code>toUrl</code> and <code>defined</code> methods as well.
+         */
+        function createRenderLoader(api, loader, sPrefix, config) {
+            var valueMap = {},
+                // Callbacks of views that are being loaded
+                waitMap = {},
+                req;
+            
+            /*
+             * Loads the view and passes its value into callback or passes error into errback.
+             */
+            function loadView(sName, callback, errback) {
+                var onLoad;
+                if (valueMap.hasOwnProperty(sName)) {
+                    callback(valueMap[sName]);
+                    return;
+                }
+                if (waitMap.hasOwnProperty(sName)) {
+                    waitMap[sName].push([callback, errback]);
+                    return;
+                }
+                waitMap[sName] = [[callback, errback]];
+                onLoad = function(value) {
+                    var waitList = waitMap[sName] || [],
+                        nI, nL;
+                    delete waitMap[sName];
+                    valueMap[sName] = value;
+                    for (nI = 0, nL = waitList.length; nI < nL; nI++) {
+                        waitList[nI][0](value);
+                    }
+                };
+                onLoad.error = function(err) {
+                    var waitList = waitMap[sName] || [],
+                        nI, nL;
+                    delete waitMap[sName];
+                    for (nI = 0, nL = waitList.length; nI < nL; nI++) {
+                        waitList[nI][1](err);
+                    }
+                };
+                api.load(sName.substring(sPrefix.length), req, onLoad, config);
+            }
+            
+            req = function(deps, callback, errback) {
+                var nCount, resultList, bFailed, nI, nL;
+                
+                function onValue(nIndex) {
+                    return function(value) {
+                        resultList[nIndex] = value;
+                        if (! --nCount && ! bFailed) {
+                            callback.apply(null, resultList);
+                        }
+                    };
+                }
+                
+                function onError(sDep) {
+                    return function(err) {
+                        if (! bFailed) {
+                            bFailed = true;
+                            if (err && typeof err === "object" && ! err.requireModules) {
+                                err.requireModules = [sDep];
+                            }
+                            if (typeof errback === "function") {
+                                errback(err);
+                            }
+                        }
+                    };
+                }
+                
+                if (typeof deps === "string") {
+                    return valueMap.hasOwnProperty(deps)
+                            ? valueMap[deps]
+                            : getResource(loader, deps);
+                }
+                nCount = deps.length;
+                resultList = [];
+                bFailed = false;
+                if (! nCount) {
+                    callback();
+                    return;
+                }
+                for (nI = 0, nL = deps.length; nI < nL; nI++) {
+                    if (deps[nI] === "require") {
+                        onValue(nI)(req);
+                    }
+                    else if (deps[nI].indexOf(sPrefix) === 0) {
+                        loadView(deps[nI], onValue(nI), onError(deps[nI]));
+                    }
+                    else {
+                        loader([deps[nI]], onValue(nI), onError(deps[nI]));
+                    }
+                }
+            };
+            req.toUrl = function(sName) {
+                return loader.toUrl(sName);
+            };
+            req.defined = function(sName) {
+                return valueMap.hasOwnProperty(sName) 
+                        || (sName.indexOf(sPrefix) !== 0 && typeof loader.defined === "function" && loader.defined(sName));
+            };
+            return req;
+        }
+        
+        /**
+         * Creates context object that is passed into functional inclusion.
+         * 
+         * @param {Object} inclusion
+         *      Object describing the inclusion (see {@link #parse}).
+         * @param {Function} loader
+         *      <code>require</code> function that is used to load inclusions.
+         * @param {Object} [settings]
+         *      Processing settings/configuration of the view containing the inclusion.
+         * @return {Object}
+         *      Context object. The object has the following fields (name - type - description):
+         *      <ul>
+         *      <li>view - String - name of the view containing the inclusion
+         *      <li>settings - Object - processing settings/configuration of the view
+         *      <li>attrMap - Object - attributes of the inclusion directive; keys are attribute names, values are corresponding values
+         *      <li>tag - String - text of the inclusion directive
+         *      <li>depth - Integer - nesting depth of the inclusion (<code>1</code> for inclusions of the view that is loaded directly,
+         *              <code>2</code> for inclusions of the view that is included into such view etc)
+         *      <li>require - Function - <code>require</code> function that resolves relative names of resources 
+         *              against the name of the view containing the inclusion
+         *      </ul>
+         */
+        function createContext(inclusion, loader, settings) {
+            var sViewName = (settings && settings.viewName) || null;
+            return {
+                view: sViewName,
+                settings: settings || null,
+                attrMap: inclusion.attrMap || null,
+                tag: inclusion.tag || null,
+                depth: ((settings && settings.depth) || 0) + 1,
+                require: bindRequire(loader, sViewName)
+            };
+        }
+        
+        /**
+         * Replaces inclusion directives in the given text by contents of the corresponding inclusions.
+         * <br>
+         * When callback is passed, inclusions are made asynchronously: a functional inclusion can return a thenable 
+         * (for example, Promise) or, when the function or the object is marked as asynchronous (has <code>async</code> field 
+         * with <code>true</code> value) and the function/method returns <code>undefined</code>,
+         * call node-style callback that is passed as the second parameter. Instances of inclusions are made in parallel
+         * except for paired directives whose content is passed to inclusion after inclusions inside the content are made.
+         * Without callback thenables are not awaited and callbacks are not passed (<code>null</code> is passed instead).
+         * <code>null</code> is passed as well into inclusion that is not marked as asynchronous.
+         * Context object is passed into functional inclusion as the third parameter (see {@link #createContext}).
+         * 
+         * @param {String} sText
+         *      Text to process. Usually it is result of parsing (see {@link #parse}).
+         * @param {Object} inclMap
+         *      Describes inclusions. Keys are identifiers of inclusion instances (see {@link #parse}), 
+         *      values are objects describing corresponding inclusions (see <code>processTag</code> for details).
+         *      Each instance is processed separately: a functional inclusion is called for each instance with the instance's data.
+         *      Content of paired inclusion directive is passed in <code>content</code> field of the data
+         *      or replaces <code>{{content}}</code> placeholder of text inclusion.
+         * @param {Function} loader
+         *      <code>require</code> function that should be used to get contents of inclusions.
+         *      The inclusions should be already loaded.
+         * @param {Object} [settings]
+         *      Processing settings/configuration. Only <code>depth</code>, <code>inclusionTimeout</code>, <code>interpolate</code>, 
+         *      <code>vars</code> and <code>viewName</code> settings are used. The settings are passed into functional inclusions
+         *      as part of context object.
+         * @param {Function} [callback]
+         *      Node-style function that should be called when all inclusions are made.
+         *      An error or <code>null</code> is passed as the first parameter, the resulting text is passed as the second parameter.
+         * @return {String | undefined}
+         *      Text with made inclusions or <code>undefined</code> when callback is passed.
+         * @throws {Error}
+         *      When a functional inclusion throws an exception and callback is not passed. <code>tag</code> field of the error
+         *      contains text of the inclusion directive, <code>cause</code> field contains the thrown exception.
+         *      The same error is passed into callback when it is passed. The error is passed as well 
+         *      when an asynchronous inclusion is rejected or is not made in time specified by <code>inclusionTimeout</code> setting.
+         */
+        function makeInclusions(sText, inclMap, loader, settings, callback) {
+            var bAsync = typeof callback === "function",
+                bInterpolate = Boolean(settings && settings.interpolate),
+                nTimeout = (bAsync && settings && Number(settings.inclusionTimeout)) || 0,
+                idList = [],
+                contentMap = {},
+                valueMap = {},
+                readyList = [],
+                nPending = 0,
+                bDone = false,
+                onIdle = null,
+                sId;
+            
+            /*
+             * Finishes processing and passes result into callback (asynchronous mode) or throws error (synchronous mode).
+             */
+            function finish(err) {
+                if (! bAsync) {
+                    if (err) {
+                        throw err;
+                    }
+                }
+                else if (! bDone) {
+                    bDone = true;
+                    if (err) {
+                        callback(err);
+                    }
+                    else {
+                        callback(null, sText);
+                    }
+                }
+            }
+            
+            /*
+             * Replaces markers of made inclusion instances by their contents.
+             */
+            function insertReady() {
+                var nI, resource, sMarker, sReadyId;
+                while (readyList.length) {
+                    sReadyId = readyList.shift();
+                    resource = valueMap[sReadyId];
+                    sMarker = sInclusionStart + sReadyId + sInclusionEnd;
+                    nI = 0;
+                    while ((nI = sText.indexOf(sMarker, nI)) > -1) {
+                        sText = sText.substring(0, nI) + resource + sText.substring(nI + sMarker.length);
+                        nI += resource.length;
+                    }
+                }
+            }
+            
+            /*
+             * Extracts content of paired directive from the text. The content can be shared by several instances.
+             */
+            function getContent(sContentId) {
+                var nEnd, nI, sMarker;
+                if (! contentMap.hasOwnProperty(sContentId)) {
+                    sMarker = sContentStart + sContentId + sMarkerEnd;
+                    nI = sText.indexOf(sMarker);
+                    nEnd = sText.indexOf(sContentClose + sContentId + sMarkerEnd, nI);
+                    if (nI > -1 && nEnd > -1) {
+                        contentMap[sContentId] = sText.substring(nI + sMarker.length, nEnd);
+                        sText = sText.substring(0, nI) 
+                                    + sText.substring(nEnd + sContentClose.length + sContentId.length + sMarkerEnd.length);
+                    }
+                    else {
+                        contentMap[sContentId] = "";
+                    }
+                }
+                return contentMap[sContentId];
+            }
+            
+            /*
+             * Makes the inclusion instance.
+             */
+            function makeInstance(sId) {
+                var inclusion = inclMap[sId],
+                    sInclusion = inclusion.name || sId,
+                    inclData = inclusion.data,
+                    sContent = null,
+                    bSettled = false,
+                    timeoutId = null,
+                    bCallback = false,
+                    action, nI, partList, resource, result, resume, target;
+                
+                function settle(err, value) {
+                    if (bSettled || bDone) {
+                        return;
+                    }
+                    bSettled = true;
+                    if (timeoutId) {
+                        clearTimeout(timeoutId);
+                    }
+                    if (err) {
+                        finish(createError("failed to make inclusion " + sInclusion, {tag: inclusion.tag || null, cause: err}));
+                        return;
+                    }
+                    valueMap[sId] = String(value);
+                    readyList.push(sId);
+                    if (! --nPending && onIdle) {
+                        resume = onIdle;
+                        onIdle = null;
+                        resume();
+                    }
+                }
+                
+                nPending++;
+                try {
+                    resource = checkInclusion(getResource(loader, sInclusion), sInclusion);
+                    if (inclusion.content) {
+                        sContent = getContent(inclusion.content);
+                        inclData = objUtil.mix({}, inclData, {content: sContent});
+                    }
+                    if (typeof resource === "function") {
+                        action = resource;
+                    }
+                    else if (resource && typeof resource === "object" && typeof resource.execute === "function") {
+                        action = resource.execute;
+                        target = resource;
+                    }
+                    if (action) {
+                        // Callback is passed only into inclusion that is explicitly marked as asynchronous
+                        bCallback = bAsync && (action.async === true || Boolean(target && target.async === true));
+                        result = action.call(target || null, 
+                                                inclData, 
+                                                bCallback ? settle : null, 
+                                                createContext(inclusion, loader, settings));
+                    }
+                    else if ((bInterpolate || sContent !== null) && typeof resource === "string") {
+                        // Content is inserted as is and is not interpolated
+                        partList = sContent === null 
+                                    ? [resource] 
+                                    : resource.split(contentRegExp);
+                        if (bInterpolate) {
+                            for (nI = 0; nI < partList.length; nI++) {
+                                partList[nI] = strUtil.interpolate(partList[nI], 
+                                                                    objUtil.mix({}, settings.vars, inclusion.data));
+                            }
+                        }
+                        result = partList.join(sContent);
+                    }
+                    else {
+                        result = resource;
+                    }
+                }
+                catch (e) {
+                    settle(e);
+                    return;
+                }
+                if (bAsync && result && typeof result.then === "function") {
+                    result.then(function(value) {
+                                    settle(null, value);
+                                }, 
+                                function(reason) {
+                                    settle(reason || new Error("inclusion is rejected"));
+                                });
+                }
+                else if (! (bCallback && result === undefined)) {
+                    settle(null, result);
+                }
+                if (! bSettled && nTimeout) {
+                    timeoutId = setTimeout(function() {
+                        settle(new Error("inclusion is not made in " + nTimeout + " ms"));
+                    }, nTimeout);
+                }
+            }
+            
+            /*
+             * Makes inclusion instances in reverse order starting from the specified index.
+             */
+            function makeFrom(nK) {
+                var inclusion;
+                for (; nK > -1 && ! bDone; nK--) {
+                    inclusion = inclMap[idList[nK]];
+                    // Inclusions inside content of paired directive should be made before the content is extracted
+                    if (inclusion.content && ! contentMap.hasOwnProperty(inclusion.content)) {
+                        if (nPending) {
+                            onIdle = (function(nIndex) {
+                                return function() {
+                                    makeFrom(nIndex);
+                                };
+                            })(nK);
+                            return;
+                        }
+                        insertReady();
+                    }
+                    makeInstance(idList[nK]);
+                }
+                if (nPending) {
+                    onIdle = function() {
+                        insertReady();
+                        finish(null);
+                    };
+                }
+                else if (! bDone) {
+                    insertReady();
+                    finish(null);
+                }
+            }
+            
+            if (inclMap) {
+                for (sId in inclMap) {
+                    idList.push(sId);
+                }
+            }
+            // Instances are processed in reverse order so inclusions inside content of paired directive
+            // are made before the content is passed to the directive's inclusion
+            makeFrom(idList.length - 1);
+            return bAsync 
+                    ? undefined 
+                    : sText;
+        }
+        
+        /**
+         * Creates value that represents the processed view according to <code>result</code> setting.
+         * 
+         * @param {String} sText
+         *      Text of the view with made inclusions.
+         * @param {Object} data
+         *      Parsing result for the view (see {@link #parse}).
+         * @param {Object} settings
+         *      Processing settings/configuration that are used for the view. Only <code>cssLoader</code>, 
+         *      <code>result</code> and <code>viewName</code> fields are used.
+         * @return {Object | DocumentFragment | Function | String}
+         *      Value representing the view. Depending on <code>result</code> setting it is the following:
+         *      <ul>
+         *      <li><code>"fragment"</code> - <code>DocumentFragment</code> containing nodes of the view
+         *      <li><code>"factory"</code> - function that returns new copy of <code>DocumentFragment</code> on each call;
+         *              the fragment is built once and cloned for each call
+         *      <li><code>"text"</code> - the text of the view
+         *      <li><code>"object"</code> - object that has the following fields (name - type - description):
+         *      <ul>
+         *      <li>html - String - text of the view with made inclusions
+         *      <li>css - Array - names of found CSS-files
+         *      <li>modules - Array - names of other found dependencies (except for inclusions and layout)
+         *      <li>inclusions - Array - list of objects describing inclusion instances; each object has <code>id</code> 
+         *              (identifier of the instance), <code>name</code> (name of the inclusion), <code>data</code> 
+         *              (data of the instance or <code>null</code>) and <code>tag</code> (text of the directive) fields
+         *      <li>layout - String, null - name of the layout that the view extends
+         *      <li>name - String - name of the view
+         *      <li>toString - Function - returns value of <code>html</code> field
+         *      </ul>
+         *      </ul>
+         * @throws {Error}
+         *      When <code>DocumentFragment</code> should be created but the document is not available.
+         */
+        function createResult(sText, data, settings) {
+            var sResult = settings.result,
+                depList = (data && data.depList) || [],
+                inclMap = (data && data.inclusionMap) || {},
+                cssList = [],
+                moduleList = [],
+                inclList = [],
+                inclNameMap = {},
+                factory, fragment, inclusion, nI, nL, sDep, sId;
+            if (sResult === "fragment") {
+                return htmlUtil.createFragment(sText);
+            }
+            else if (sResult === "factory") {
+                fragment = htmlUtil.createFragment(sText);
+                factory = function() {
+                    return fragment.ownerDocument.importNode(fragment, true);
+                };
+                // The mark allows to detect the factory when the view is included into another view
+                factory.isViewFactory = true;
+                return factory;
+            }
+            else if (sResult !== "object") {
+                return sText;
+            }
+            for (sId in inclMap) {
+                inclusion = inclMap[sId];
+                sDep = inclusion.name || sId;
+                inclNameMap[sDep] = null;
+                inclList.push({
+                    id: sId,
+                    name: sDep,
+                    data: inclusion.data || null,
+                    tag: inclusion.tag || null
+                });
+            }
+            for (nI = 0, nL = depList.length; nI < nL; nI++) {
+                sDep = depList[nI];
+                if (! inclNameMap.hasOwnProperty(sDep) && sDep !== data.layout) {
+                    (isCssDependency(sDep, settings) ? cssList : moduleList).push(sDep);
+                }
+            }
+            return {
+                html: sText,
+                css: cssList,
+                modules: moduleList,
+                inclusions: inclList,
+                layout: (data && data.layout) || null,
+                name: settings.viewName,
+                toString: function() {
+                    return this.html;
+                }
+            };
+        }
+        
+        /**
+         * Makes inclusions of the view during build when contents of all inclusions and of the layout are available as text.
+         * Included views and layouts should be resolved during build as well.
+         * 
+         * @param {String} sText
+         *      Text of the view. Usually it is result of parsing (see {@link #parse}).
+         * @param {Object} data
+         *      Parsing result for the view (see {@link #parse}).
+         * @param {Function} loader
+         *      <code>require</code> function that was used to load dependencies of the view.
+         * @param {Object} settings
+         *      Processing settings/configuration of the view.
+         * @return {Object | null}
+         *      Object containing final text of the view (<code>resource</code> field) and list of dependencies 
+         *      that are needed at run time (<code>depList</code> field) or <code>null</code> when inclusions can not be made during build.
+         * @throws {Error}
+         *      When making of an inclusion fails (see {@link #makeInclusions}).
+         */
+        function resolveBuild(sText, data, loader, settings) {
+            var inclMap = data.inclusionMap,
+                depList = data.depList || [],
+                nameList = [],
+                nestedList = [],
+                valueMap = {},
+                runtimeMap = {},
+                runtimeList = [],
+                sPrefix = settings.pluginName + "!",
+                resolver, nI, nL, sDep, sId, value;
+            
+            function addDep(sName) {
+                if (! runtimeMap.hasOwnProperty(sName)) {
+                    runtimeMap[sName] = null;
+                    runtimeList.push(sName);
+                }
+            }
+            
+            for (sId in inclMap) {
+                nameList.push(inclMap[sId].name || sId);
+            }
+            if (data.layout) {
+                nameList.push(data.layout);
+            }
+            for (nI = 0, nL = nameList.length; nI < nL; nI++) {
+                sDep = nameList[nI];
+                // Values of included views and text files are not passed into loader by r.js
+                if (sDep.indexOf(sPrefix) === 0 && buildMap.hasOwnProperty(sDep.substring(sPrefix.length))) {
+                    value = getBuildValue(sDep.substring(sPrefix.length));
+                }
+                else {
+                    value = sDep.indexOf("text!") === 0 && sDep.indexOf("!", 5) < 0
+                                ? readBuildFile(loader.toUrl(sDep.substring(5)))
+                                : null;
+                    if (value === null) {
+                        try {
+                            value = getResource(loader, sDep);
+                        }
+                        catch (e) {
+                            return null;
+                        }
+                    }
+                }
+                if (typeof value === "string") {
+                    valueMap[sDep] = value;
+                }
+                // Resolved view (see load)
+                else if (value && value.resolved === true) {
+                    valueMap[sDep] = value.resource;
+                    nestedList = nestedList.concat(value.depList);
+                }
+                else {
+                    return null;
+                }
+            }
+            // Contents of inclusions and layout are embedded, but their dependencies are needed at run time
+            for (nI = 0, nL = depList.length; nI < nL; nI++) {
+                if (! valueMap.hasOwnProperty(depList[nI])) {
+                    addDep(depList[nI]);
+                }
+            }
+            for (nI = 0, nL = nestedList.length; nI < nL; nI++) {
+                addDep(nestedList[nI]);
+            }
+            resolver = function(sName) {
+                return valueMap[sName];
+            };
+            resolver.defined = function(sName) {
+                return valueMap.hasOwnProperty(sName);
+            };
+            resolver.toUrl = function(sName) {
+                return sName;
+            };
+            sText = makeInclusions(sText, inclMap, resolver, settings);
+            if (data.layout) {
+                sText = applyLayout(sText, valueMap[data.layout]);
+            }
+            return {
+                resource: sText,
+                depList: runtimeList
+            };
+        }
+        
+        /**
+         * Returns code of AMD module that represents the processed resource.
+         * The code is used to write the resource into optimized bundle.
+         * 
+         * @param {String} sPluginName
+         *      Name of the plugin (prefix) that is used to load the resource.
+         * @param {String} sModuleName
+         *      Name of the resource.
+         * @param {Object} data
+         *      Parsing result for the resource (see {@link #parse}). When <code>resolved</code> field of the object is <code>true</code>,
+         *      <code>resource</code> field contains the final text and <code>depList</code> field contains dependencies
+         *      that are needed at run time (see {@link #resolveBuild}), so inclusions are not made at run time.
+         * @param {Object} [settings]
+         *      Processing settings/configuration that are used for the resource.
+         * @return {String}
+         *      Code of AMD module.
+         */
+        function getModuleCode(sPluginName, sModuleName, data, settings) {
+            var depList = data.depList || [],
+                inclMap = data.inclusionMap,
+                bResolved = data.resolved === true,
+                bInclusion = false,
+                bResult = Boolean(settings && settings.result && settings.result !== "text"),
+                bPlugin, sName, sValue;
+            for (sName in inclMap) {
+                bInclusion = ! bResolved;
+                break;
+            }
+            bPlugin = bInclusion || bResult || Boolean(data.layout && ! bResolved);
+            sValue = bInclusion
+                        ? "plugin.makeInclusions(" + toCode(data.resource) + ", "
+                            + toCode(inclMap) + ", require, "
+                            + toCode({depth: (settings && settings.depth) || 0,
+                                        interpolate: Boolean(settings && settings.interpolate), 
+                                        viewName: settings && settings.viewName}) + ")"
+                        : toCode(data.resource);
+            if (data.layout && ! bResolved) {
+                sValue = "plugin.applyLayout(" + sValue + ", String(require(" + toCode(data.layout) + ")))";
+            }
+            if (bResult) {
+                sValue = "plugin.createResult(" + sValue + ", "
+                            + toCode({depList: depList, inclusionMap: inclMap || null, layout: data.layout || null}) + ", "
+                            + toCode({cssLoader: settings.cssLoader, result: settings.result, viewName: settings.viewName}) + ")";
+            }
+            return "define(" + toCode(sPluginName + "!" + sModuleName) + ", "
+                    + toCode(bPlugin ? [sPluginName, "require"].concat(depList) : depList) + ", "
+                    + (bPlugin
+                        ? "function(plugin, require) {\n"
+                        : "function() {\n")
+                    + "    return " + sValue + ";\n"
+                    + "});\n";
+        }
+        
+        /**
+         * Parses the given text and searches for &lt;link&gt; tags that are related to dependency directives.
+         * Found tags are removed from the text, extracted resource names form dependency list. 
+         * 
+         * @param {String} sText
+         *      Text to process.
+         * @param {Object} settings
+         *      Processing settings/configuration. Besides settings the object contains 'api' field
          *      that represents the module API.
          * @return {Object}
          *      Parsing result. The object has the following fields (name - type - description):
@@ -387,81 +2506,174 @@
          *      <li>resource - String - text after processing.
          *      <li>depList - Array - list of found dependencies.
          *      <li>inclusionMap - Object, null - an optional field that is describing dependencies that should be included into the resource's content;
-         *              object's fields are inclusion names, field values are objects describing corresponding inclusions (see <code>processTag</code> for details).
+         *              object's fields are identifiers of inclusion instances, field values are objects describing corresponding inclusions 
+         *              (see <code>processTag</code> for details); each inclusion directive forms separate instance
+         *              whose identifier is the inclusion name followed by <code>#</code> and number of the instance;
+         *              <code>tag</code> field of an inclusion object contains text of the inclusion directive,
+         *              <code>attrMap</code> field contains attributes of the directive;
+         *              <code>content</code> field is set for paired directive whose content is marked in the text 
+         *              by comments <code>&lt;!--view-content:id--&gt;</code> and <code>&lt;!--/view-content:id--&gt;</code>
+         *              (the field value is identifier that is used in the comments).
+         *      <li>layout - String, null - an optional field containing name of the layout that the resource extends;
+         *              contents of layout blocks are marked in the text by comments
+         *              <code>&lt;!--view-block:name--&gt;</code> and <code>&lt;!--/view-block:name--&gt;</code>,
+         *              layout slots are represented by comments <code>&lt;!--view-slot:name--&gt;</code>.
+         *      <li>tagMap - Object - an optional field that is describing directives of found dependencies;
+         *              object's fields are dependency names, field values are texts of the corresponding directives.
          *      </ul>
+         * @throws {Error}
+         *      When processing of a directive fails. <code>tag</code> field of the error contains text of the directive, 
+         *      <code>cause</code> field contains the thrown exception.
          */
         defaultConfig.parse = function(sText, settings) {
             var findTag = settings.findTag,
                 foundTag = findTag(sText, 0, settings),
-                sEnd = ">",
-                nEndLen = sEnd.length,
                 deps = [],
                 depMap = {},
+                tagMap = {},
                 inclusionMap = null, 
-                dependency, nI, nK, nL, nN, nStartLen, sDepName, sTag, tagResult;
+                nInclusion = 0,
+                sLayout = null,
+                attrMap, bPaired, dependency, inclusion, nClose, nCloseEnd, nI, nK, nL, nN, nStartLen, 
+                sContentId, sDepName, sId, sTag, sTagText, tagResult;
+            
+            /*
+             * Checks whether the tag has closing tag. Directives (except layout blocks and paired inclusions) 
+             * have no closing tags.
+             * 
+             * @param {String} sTagText
+             *      Text of the tag.
+             * @return {Boolean}
+             *      <code>true</code> if the tag has closing tag, <code>false</code> otherwise.
+             */
+            function isPairedTag(sTagText) {
+                var sName = /^<([^\s\/>]+)/.exec(sTagText)[1],
+                    tagAttrMap = strUtil.extractAttributes( sTagText.substring(sName.length + 1, sTagText.length - 1) );
+                return sName.toLowerCase() === sPairedInclusionTag
+                        || ! settings.filterTag(sTagText, tagAttrMap, settings)
+                        || tagAttrMap.rel.toLowerCase() === "block";
+            }
+            
             while (foundTag) {
                 nI = foundTag.position;
                 nStartLen = foundTag.tagStart.length;
-                nK = sText.indexOf(sEnd, nI + nStartLen);
-                if (nK > -1) {
-                    if (nK) {
-                        nK += nEndLen;
-                        sTag = sText.substring(nI, nK);
-                        tagResult = settings.processTag(sTag, 
-                                                        strUtil.extractAttributes(
-                                                            sTag.substring(nStartLen, sTag.length - nEndLen) ), 
-                                                        settings);
-                        // Analyze tag's processing result
-                        if (tagResult) {
-                            // Inclusion
-                            if (dependency = tagResult.inclusion) {
-                                if (! inclusionMap) {
-                                    inclusionMap = {};
-                                }
-                                if (! (dependency.name in inclusionMap)) {
-                                    inclusionMap[dependency.name] = dependency;
-                                }
-                            }
-                            // Dependency
-                            if (dependency = tagResult.dependency) {
-                                if (typeof dependency === "string") {
-                                    dependency = [dependency];
-                                }
-                                for (nN = 0, nL = dependency.length; nN < nL; nN++) {
-                                    sDepName = dependency[nN];
-                                    // Skip dependency that is already added
-                                    if (! (sDepName in depMap)) {
-                                        deps.push(sDepName);
-                                        depMap[sDepName] = null;
-                                    }
-                                }
+                nK = htmlUtil.findTagEnd(sText, nI + nStartLen);
+                // There are no more tags that should be processed
+                if (nK < 0) {
+                    break;
+                }
+                nK++;
+                sTag = sText.substring(nI, nK);
+                attrMap = strUtil.extractAttributes( sTag.substring(nStartLen, sTag.length - 1) );
+                bPaired = foundTag.name.toLowerCase() === sPairedInclusionTag;
+                if (bPaired) {
+                    // Paired inclusion directive: <x-include href="...">content</x-include>
+                    if (! attrMap.rel) {
+                        attrMap.rel = "include";
+                    }
+                    nClose = htmlUtil.findClosingTag(sText, nK, foundTag.name);
+                    nCloseEnd = nClose > -1 ? sText.indexOf(">", nClose) : -1;
+                    if (nCloseEnd < 0) {
+                        throw createError("failed to process directive " + sTag, 
+                                            {tag: sTag, cause: new Error("closing tag of inclusion is not found")});
+                    }
+                }
+                try {
+                    tagResult = settings.processTag(sTag, attrMap, settings);
+                }
+                catch (e) {
+                    throw createError("failed to process directive " + sTag, {tag: sTag, cause: e});
+                }
+                // Analyze tag's processing result
+                if (tagResult) {
+                    sTagText = tagResult.text;
+                    // Inclusion; the directive is replaced by markers of the inclusion instances
+                    dependency = tagResult.inclusion;
+                    if (dependency && Object.prototype.toString.call(dependency) !== "[object Array]") {
+                        dependency = [dependency];
+                    }
+                    if (dependency && dependency.length) {
+                        if (! inclusionMap) {
+                            inclusionMap = {};
+                        }
+                        sTagText = "";
+                        sContentId = null;
+                        for (nN = 0, nL = dependency.length; nN < nL; nN++) {
+                            inclusion = dependency[nN];
+                            sId = inclusion.name + "#" + (++nInclusion);
+                            inclusionMap[sId] = inclusion;
+                            if (! inclusion.tag) {
+                                inclusion.tag = sTag;
                             }
-                            // Tag replacement
-                            if (tagResult.text !== sTag) {
-                                sText = sText.substring(0, nI) + tagResult.text + sText.substring(nK);
+                            if (! inclusion.attrMap) {
+                                inclusion.attrMap = attrMap;
                             }
-                            else {
-                                nI = nK;
+                            sTagText += sInclusionStart + sId + sInclusionEnd;
+                            // Content of paired directive is marked once and is shared by all instances
+                            if (bPaired) {
+                                if (! sContentId) {
+                                    sContentId = sId;
+                                }
+                                inclusion.content = sContentId;
                             }
                         }
-                        else {
-                            nI = nK;
+                        // Content of paired directive is retained to process its directives
+                        if (bPaired) {
+                            sText = sText.substring(0, nClose) + sContentClose + sContentId + sMarkerEnd 
+                                        + sText.substring(nCloseEnd + 1);
+                            sTagText += sContentStart + sContentId + sMarkerEnd;
                         }
                     }
-                    else {
-                        nI = nK + nEndLen;
+                    // Paired directive that does not lead to inclusion is deleted along with its content
+                    else if (bPaired) {
+                        nK = nCloseEnd + 1;
+                    }
+                    // Layout
+                    if (tagResult.layout) {
+                        sLayout = tagResult.layout;
+                    }
+                    // Layout block; the directive and its closing tag are replaced by markers of the block
+                    if (tagResult.block) {
+                        nClose = htmlUtil.findClosingTag(sText, nK, foundTag.name, isPairedTag);
+                        nCloseEnd = nClose > -1 ? sText.indexOf(">", nClose) : -1;
+                        if (nCloseEnd < 0) {
+                            throw createError("failed to process directive " + sTag, 
+                                                {tag: sTag, cause: new Error("closing tag of layout block is not found")});
+                        }
+                        sText = sText.substring(0, nClose) + sBlockClose + tagResult.block + sMarkerEnd 
+                                    + sText.substring(nCloseEnd + 1);
+                        sTagText = sBlockStart + tagResult.block + sMarkerEnd;
+                    }
+                    // Dependency
+                    if (dependency = tagResult.dependency) {
+                        if (typeof dependency === "string") {
+                            dependency = [dependency];
+                        }
+                        for (nN = 0, nL = dependency.length; nN < nL; nN++) {
+                            sDepName = dependency[nN];
+                            // Skip dependency that is already added
+                            if (! (sDepName in depMap)) {
+                                deps.push(sDepName);
+                                depMap[sDepName] = null;
+                                tagMap[sDepName] = sTag;
+                            }
+                        }
+                    }
+                    // Tag replacement; search is continued after the replacement
+                    if (sTagText !== sTag) {
+                        sTagText = sTagText == null ? "" : String(sTagText);
+                        sText = sText.substring(0, nI) + sTagText + sText.substring(nK);
+                        nK = nI + sTagText.length;
                     }
-                    foundTag = findTag(sText, nI, settings);
-                }
-                // There are no more tags that should be processed
-                else {
-                    break;
                 }
+                foundTag = findTag(sText, nK, settings);
             }
             return {
                 resource: sText,
                 depList: deps,
-                inclusionMap: inclusionMap
+                inclusionMap: inclusionMap,
+                layout: sLayout,
+                tagMap: tagMap
             };
         };
         
@@ -470,94 +2682,557 @@
             // Reconfiguration option
             "reconfig": reconfig,
             
+            // Descriptions of configuration settings (see "Configuration" section)
+            "settingSchema": settingSchema,
+            
             // Auxiliary API
             
+            "applyLayout": applyLayout,
+            
             "convertSettings": convertSettings,
             
+            "createResult": createResult,
+            
+            "createSettings": createSettings,
+            
+            "evaluate": evaluate,
+            
             "findTag": defaultConfig.findTag,
             
             "filterTag": defaultConfig.filterTag,
             
+            "getModuleCode": getModuleCode,
+            
+            /**
+             * Walks the specified view and its included views recursively and builds graph of dependencies.
+             * Views are parsed but inclusions are not made and dependencies are not loaded
+             * (only texts of views are loaded by <code>text!</code> plugin).
+             *
+             * @param {String} sName
+             *      Name of the view. Can contain settings after <code>!</code> separator.
+             * @param {Function} require
+             *      <code>require</code> function of the loader.
+             * @param {Function} callback
+             *      Function that should be called when the graph is built. The graph is passed as the parameter.
+             *      The graph is an object with the following fields (name - type - description):
+             *      <ul>
+             *      <li>nodes - Array - list of nodes; each node is an object with <code>id</code> field
+             *              (name of the view or of the dependency) and <code>type</code> field
+             *              (<code>"view"</code> - the view, an included view or a layout,
+             *              <code>"inclusion"</code> - other included resource, <code>"css"</code> - CSS-file,
+             *              <code>"require"</code> - other dependency)
+             *      <li>edges - Array - list of edges; each edge is an object with <code>from</code> field
+             *              (identifier of the view containing the directive), <code>to</code> field
+             *              (identifier of the dependency), <code>type</code> field (<code>"inclusion"</code>,
+             *              <code>"layout"</code>, <code>"css"</code> or <code>"require"</code>) and <code>tag</code> field (text of the directive)
+             *      </ul>
+             *      When building fails, an error is passed into <code>callback.error</code>
+             *      or <code>callback.reject</code> if it is available. Otherwise the error is thrown.
+             * @param {Object} [config]
+             *      Configuration of the plugin.
+             */
+            "graph": function(sName, require, callback, config) {
+                var api = this,
+                    graph = {
+                        nodes: [],
+                        edges: []
+                    },
+                    nodeMap = {},
+                    nPending = 0,
+                    bFailed = false;
+                
+                function failGraph(sView, err) {
+                    if (! bFailed) {
+                        bFailed = true;
+                        fail(callback,
+                                createError("failed to build graph of view " + sView + " - " + (err && err.message || String(err)),
+                                            {view: sView, tag: (err && err.tag) || null, cause: (err && err.tag ? err.cause : err) || null}));
+                    }
+                }
+                
+                function addNode(sId, sType) {
+                    if (nodeMap.hasOwnProperty(sId)) {
+                        return false;
+                    }
+                    graph.nodes.push(nodeMap[sId] = {id: sId, type: sType});
+                    return true;
+                }
+                
+                function addEdge(sFrom, sTo, sType, sTag) {
+                    graph.edges.push({from: sFrom, to: sTo, type: sType, tag: sTag});
+                }
+                
+                function walk(sResourceName, sFrom, sTag, sEdgeType) {
+                    var conf = createSettings(sResourceName, config, api),
+                        sView = conf.viewName;
+                    if (sFrom) {
+                        addEdge(sFrom, sView, sEdgeType, sTag);
+                    }
+                    if (! addNode(sView, "view")) {
+                        return;
+                    }
+                    nPending++;
+                    require(["text!" + require.toUrl(sView)],
+                        function(sText) {
+                            var sPrefix = conf.pluginName + "!",
+                                inclMap = {},
+                                depList, inclusion, nI, nK, nL, nN, parseResult, sDep, sDepTag, sId, sType, tagMap;
+                            if (bFailed) {
+                                return;
+                            }
+                            try {
+                                parseResult = conf.parse(sText, conf);
+                                depList = (parseResult && parseResult.depList) || [];
+                                tagMap = (parseResult && parseResult.tagMap) || {};
+                                // Group inclusion instances by inclusion name
+                                for (sId in parseResult.inclusionMap) {
+                                    inclusion = parseResult.inclusionMap[sId];
+                                    sDep = inclusion.name || sId;
+                                    (inclMap[sDep] || (inclMap[sDep] = [])).push(inclusion);
+                                }
+                                for (nI = 0, nL = depList.length; nI < nL; nI++) {
+                                    sDep = depList[nI];
+                                    if (inclMap.hasOwnProperty(sDep)) {
+                                        for (nK = 0, nN = inclMap[sDep].length; nK < nN; nK++) {
+                                            sDepTag = inclMap[sDep][nK].tag || tagMap[sDep] || null;
+                                            if (sDep.indexOf(sPrefix) === 0) {
+                                                walk(sDep.substring(sPrefix.length), sView, sDepTag, "inclusion");
+                                            }
+                                            else {
+                                                addNode(sDep, "inclusion");
+                                                addEdge(sView, sDep, "inclusion", sDepTag);
+                                            }
+                                        }
+                                    }
+                                    else if (sDep === parseResult.layout && sDep.indexOf(sPrefix) === 0) {
+                                        walk(sDep.substring(sPrefix.length), sView, tagMap[sDep] || null, "layout");
+                                    }
+                                    else {
+                                        sType = isCssDependency(sDep, conf) ? "css" : "require";
+                                        addNode(sDep, sType);
+                                        addEdge(sView, sDep, sType, tagMap[sDep] || null);
+                                    }
+                                }
+                            }
+                            catch (e) {
+                                failGraph(sView, e);
+                                return;
+                            }
+                            if (! --nPending) {
+                                callback(graph);
+                            }
+                        },
+                        function(err) {
+                            failGraph(sView, err);
+                        });
+                }
+                
+                try {
+                    walk(sName, null, null, null);
+                }
+                catch (e) {
+                    failGraph(sName, e);
+                }
+            },
+            
+            /**
+             * Converts graph of dependencies into Graphviz DOT format.
+             *
+             * @param {Object} graph
+             *      Graph of dependencies (see {@link #graph}).
+             * @return {String}
+             *      Representation of the graph in DOT format. Edges are labeled by texts of the corresponding directives.
+             */
+            "graphToDot": function(graph) {
+                var shapeMap = {
+                        view: "box",
+                        inclusion: "note",
+                        css: "ellipse",
+                        require: "ellipse"
+                    },
+                    sResult = "digraph views {\n",
+                    edge, nI, nL, node;
+                for (nI = 0, nL = graph.nodes.length; nI < nL; nI++) {
+                    node = graph.nodes[nI];
+                    sResult += "    " + toCode(node.id)
+                                + " [shape=" + (shapeMap[node.type] || "ellipse") + "];\n";
+                }
+                for (nI = 0, nL = graph.edges.length; nI < nL; nI++) {
+                    edge = graph.edges[nI];
+                    sResult += "    " + toCode(edge.from) + " -> " + toCode(edge.to)
+                                + (edge.tag ? " [label=" + toCode(edge.tag) + "]" : "") + ";\n";
+                }
+                return sResult + "}\n";
+            },
+            
+            "makeInclusions": makeInclusions,
+            
             "processIf": defaultConfig.processIf,
             
             "processTag": defaultConfig.processTag,
             
+            "registerDirective": registerDirective,
+            
             "parse": defaultConfig.parse,
             
+            /**
+             * Loads, parses the specified view and makes inclusions using the given data.
+             * Unlike loading by <code>view!</code> prefix the result is not cached by the loader.
+             * Included views and layouts are processed with the same data and are not taken from cache of the loader as well.
+             * <br>
+             * Fields of the data object are available by name in <code>data-if</code> expressions
+             * and placeholders of inclusions along with fields of <code>vars</code> setting.
+             * 
+             * @param {String} sName
+             *      Name of the view. Can contain settings after <code>!</code> separator.
+             * @param {Object} [data]
+             *      Data that should be used to process the view.
+             * @param {Object} [settings]
+             *      Processing settings/configuration that should be applied to the view.
+             * @param {Function} [callback]
+             *      Node-style function that should be called when processing is finished.
+             *      An error or <code>null</code> is passed as the first parameter, the resulting text is passed as the second parameter.
+             * @return {Promise | undefined}
+             *      Promise that will be resolved with the resulting text when processing is finished
+             *      or <code>undefined</code> when callback is passed.
+             */
+            "render": function(sName, data, settings, callback) {
+                var api = this,
+                    config;
+                
+                function render(resolve, reject) {
+                    var onLoad = function(sText) {
+                            resolve(sText);
+                        },
+                        sPrefix;
+                    onLoad.error = reject;
+                    try {
+                        sPrefix = createSettings(sName, config, api).pluginName + "!";
+                    }
+                    catch (e) {
+                        reject(createError("failed to load view " + sName + " - " + e.message, {view: sName, tag: null, cause: e}));
+                        return;
+                    }
+                    // Included views get data of rendering and are not taken from cache of the loader
+                    api.load(sName, createRenderLoader(api, localRequire, sPrefix, config), onLoad, config);
+                }
+                
+                if (typeof settings === "function") {
+                    callback = settings;
+                    settings = null;
+                }
+                config = objUtil.mix({}, typeof module.config === "function" ? module.config() : null, settings);
+                config.vars = objUtil.mix({}, reconfig.vars, config.vars, data);
+                if (typeof callback === "function") {
+                    render(function(sText) {
+                                callback(null, sText);
+                            }, 
+                            callback);
+                }
+                else if (typeof Promise === "function") {
+                    return new Promise(render);
+                }
+                else {
+                    throw createError("callback should be passed into render method when Promise is not available");
+                }
+            },
+            
             "util": {
                 base: basicUtil,
+                expression: exprUtil,
+                html: htmlUtil,
                 object: objUtil,
                 string: strUtil
             },
             
+            // Path of builder module for cram.js (curl's build tool)
+            "cramPlugin": "./cram/view",
+            
             // Plugin API
+            
+            "normalize": function(sResourceName, normalize) {
+                // Settings should not be normalized
+                var nI = sResourceName.indexOf("!");
+                return nI > -1
+                        ? normalize(sResourceName.substring(0, nI)) + sResourceName.substring(nI)
+                        : normalize(sResourceName);
+            },
     
             "load": function(sResourceName, require, callback, config) {
-                var nI = sResourceName.indexOf("!"),
-                    mix = objUtil.mix,
-                    conf, settings;
-                // Prepare operation settings
-                if (nI > -1) {
-                    settings = convertSettings( strUtil.extractSettings(sResourceName.substring(nI + 1)) );
-                    sResourceName = sResourceName.substring(0, nI);
-                }
-                // Adaptation for require.js
-                if (config.config && typeof config.config === "object" && config.config[module.id]) {
-                    config = module.config();
-                }
-                conf = mix({}, defaultConfig, reconfig, config, settings);
-                conf.api = mix({}, this);
-                if (conf.dontAddFileExt && typeof conf.dontAddFileExt === "string") {
-                    conf.dontAddFileExt = new RegExp(conf.dontAddFileExt);
-                }
-                if (! conf.dontAddFileExt || ! conf.dontAddFileExt.test(sResourceName)) {
-                    sResourceName = basicUtil.nameWithExt(sResourceName, conf.defaultExt);
-                }
-                // Load and parse resource
-                require(["text!" + require.toUrl(sResourceName), "require"],
-                    function(sText, req) {
-                        var parseResult = conf.parse(sText, conf),
-                            sText = (parseResult && typeof parseResult === "object" 
-                                        ? parseResult.resource 
-                                        : parseResult);
-                        // Load dependencies
-                        if (parseResult && parseResult.depList && parseResult.depList.length) {
-                            req(["require"].concat(parseResult.depList), function(loader) {
-                                var inclMap = parseResult.inclusionMap,
-                                    inclData, nI, resource, sInclusion;
-                                // Make inclusions
-                                if (inclMap) {
-                                    for (sInclusion in inclMap) {
-                                        // require.js has require.defined
-                                        resource = loader( typeof loader.defined === "function" && loader.defined(sInclusion)
-                                                            ? sInclusion
-                                                            : loader.toUrl(sInclusion) );
-                                        inclData = inclMap[sInclusion].data;
-                                        inclData = inclData
-                                                    ? [inclData]
-                                                    : [];
-                                        if (typeof resource === "function") {
-                                            resource = resource.apply(null, inclData);
-                                        }
-                                        else if (resource && typeof resource === "object" && typeof resource.execute === "function") {
-                                            resource = resource.execute.apply(resource, inclData);
-                                        }
-                                        resource = String(resource);
-                                        sInclusion = sInclusionStart + sInclusion + sInclusionEnd;
-                                        nI = 0;
-                                        while ((nI = sText.indexOf(sInclusion, nI)) > -1) {
-                                            sText = sText.replace(sInclusion, resource);
-                                        }
+                var bBuild = Boolean(config && config.isBuild),
+                    sModuleName = sResourceName,
+                    conf, parseResult, sParent, sText, state, viewList;
+                
+                /*
+                 * Notifies loader about failure.
+                 * 
+                 * @param {String | null} sReason
+                 *      Description of the failure. When it is not specified, message of the cause is used.
+                 * @param {Any} cause
+                 *      The underlying cause of the failure.
+                 * @param {String} [sTag]
+                 *      Text of the directive that led to the failure.
+                 * @param {Object} [fields]
+                 *      Additional fields that should be added into error object.
+                 */
+                function failLoad(sReason, cause, sTag, fields) {
+                    if (state) {
+                        removeView(state, sResourceName);
+                    }
+                    if (! sReason && cause) {
+                        sReason = cause.message || String(cause);
+                    }
+                    fail(callback, 
+                            createError("failed to load view " + sResourceName 
+                                            + (sTag ? " because of directive " + sTag : "")
+                                            + (sReason ? " - " + sReason : ""), 
+                                        objUtil.mix({view: sResourceName, tag: sTag || null, cause: cause || null}, fields)));
+                }
+                
+                /*
+                 * Passes the resource value into loader.
+                 * 
+                 * @param {String} sText
+                 *      Text of the view.
+                 */
+                function done(sText) {
+                    var result = sText;
+                    if (bBuild) {
+                        // Resolved view can be included into other views during build (see resolveBuild)
+                        result = getBuildValue(sModuleName);
+                    }
+                    else if (conf.result !== "text") {
+                        try {
+                            result = createResult(sText, parseResult, conf);
+                        }
+                        catch (e) {
+                            failLoad(null, e);
+                            return;
+                        }
+                    }
+                    removeView(state, sResourceName);
+                    callback(result);
+                }
+                
+                /*
+                 * Parses text of the view, loads found dependencies and makes inclusions.
+                 * 
+                 * @param {String} sText
+                 *      Text of the view.
+                 * @param {Function} req
+                 *      <code>require</code> function that should be used to load dependencies.
+                 */
+                function processText(sText, req) {
+                    var sPrefix = conf.pluginName + "!",
+                        chain, depList, nI, nL, sView, tagMap;
+                    try {
+                        parseResult = conf.parse(sText, conf);
+                    }
+                    catch (e) {
+                        failLoad(null, e.tag ? e.cause : e, e.tag);
+                        return;
+                    }
+                    sText = (parseResult && typeof parseResult === "object" 
+                                ? parseResult.resource 
+                                : parseResult);
+                    depList = parseResult && parseResult.depList;
+                    tagMap = (parseResult && parseResult.tagMap) || {};
+                    // Save parsing result to write it into optimized bundle later
+                    if (bBuild) {
+                        buildMap[sModuleName] = {
+                            resource: sText,
+                            depList: depList || [],
+                            inclusionMap: parseResult && parseResult.inclusionMap,
+                            layout: parseResult && parseResult.layout,
+                            settings: conf
+                        };
+                    }
+                    // Load dependencies
+                    if (depList && depList.length) {
+                        // Check whether included views lead back to the view
+                        for (nI = 0, nL = depList.length; nI < nL; nI++) {
+                            if (depList[nI].indexOf(sPrefix) === 0) {
+                                sView = depList[nI].substring(sPrefix.length).split("!")[0];
+                                if (! conf.dontAddFileExt || ! conf.dontAddFileExt.test(sView)) {
+                                    sView = basicUtil.nameWithExt(sView, conf.defaultExt);
+                                }
+                                if (chain = findChain(state.viewMap, sView, sResourceName)) {
+                                    chain.push(sView);
+                                    failLoad("circular inclusion " + chain.join(" -> "), null, 
+                                                tagMap[depList[nI]], {chain: chain});
+                                    return;
+                                }
+                                viewList.push(sView);
+                            }
+                        }
+                        req(["require"].concat(depList), 
+                            function(loader) {
+                                var resolved;
+                                // Inclusions are made during build when possible, otherwise they are made at run time
+                                if (bBuild) {
+                                    try {
+                                        resolved = resolveBuild(sText, parseResult, loader, conf);
+                                    }
+                                    catch (e) {
+                                        failLoad(null, e.tag ? e.cause : e, e.tag);
+                                        return;
                                     }
+                                    if (resolved) {
+                                        objUtil.mix(buildMap[sModuleName], resolved, {resolved: true});
+                                    }
+                                    done(sText);
+                                    return;
                                 }
-                                // Return resource content
-                                callback(sText);
+                                makeInclusions(sText, parseResult.inclusionMap, loader, conf, function(err, sResult) {
+                                    var sLayout;
+                                    if (err) {
+                                        failLoad(null, err.tag ? err.cause : err, err.tag);
+                                        return;
+                                    }
+                                    try {
+                                        if (parseResult.layout) {
+                                            sLayout = String(checkInclusion(getResource(loader, parseResult.layout), 
+                                                                            parseResult.layout));
+                                            sResult = applyLayout(sResult, sLayout);
+                                        }
+                                    }
+                                    catch (e) {
+                                        failLoad(null, e);
+                                        return;
+                                    }
+                                    done(sResult);
+                                });
+                            },
+                            function(err) {
+                                var failedList = err && err.requireModules;
+                                failLoad(null, err, failedList && failedList.length ? tagMap[failedList[0]] : null);
                             });
+                    }
+                    else {
+                        if (bBuild) {
+                            buildMap[sModuleName].resolved = true;
                         }
-                        else {
-                            callback(sText);
-                        }
+                        done(sText);
+                    }
+                }
+                
+                /*
+                 * Loads data that is specified in data directives of the view and processes text of the view.
+                 * 
+                 * @param {String} sText
+                 *      Text of the view.
+                 * @param {Function} req
+                 *      <code>require</code> function that should be used to load dependencies.
+                 */
+                function processView(sText, req) {
+                    var depList = [],
+                        dataList, nI, nL, sDep;
+                    try {
+                        dataList = findDataDirectives(sText, conf);
+                    }
+                    catch (e) {
+                        failLoad(null, e.tag ? e.cause : e, e.tag);
+                        return;
+                    }
+                    if (! dataList.length) {
+                        processText(sText, req);
+                        return;
+                    }
+                    for (nI = 0, nL = dataList.length; nI < nL; nI++) {
+                        depList.push(dataList[nI].dependency);
+                    }
+                    req(depList, 
+                        function() {
+                            var data = objUtil.mix({}, state.dataMap[sResourceName]),
+                                valueList = arguments,
+                                value;
+                            for (nI = 0; nI < nL; nI++) {
+                                value = valueList[nI];
+                                if (dataList[nI].json) {
+                                    try {
+                                        value = JSON.parse(value);
+                                    }
+                                    catch (e) {
+                                        failLoad(null, e, dataList[nI].tag);
+                                        return;
+                                    }
+                                }
+                                data[dataList[nI].name] = value;
+                            }
+                            state.dataMap[sResourceName] = data;
+                            conf.vars = objUtil.mix({}, conf.vars, data);
+                            processText(sText, req);
+                        },
+                        function(err) {
+                            var failedList = err && err.requireModules;
+                            for (nI = 0; nI < nL; nI++) {
+                                if (failedList && dataList[nI].dependency === failedList[0]) {
+                                    failLoad(null, err, dataList[nI].tag);
+                                    return;
+                                }
+                            }
+                            failLoad(null, err);
+                        });
+                }
+                
+                try {
+                    conf = createSettings(sResourceName, config, this);
+                }
+                catch (e) {
+                    failLoad(null, e);
+                    return;
+                }
+                sResourceName = conf.viewName;
+                state = getState(config);
+                conf.depth = getDepth(state.viewMap, sResourceName);
+                // Data of including views is available in the view
+                sParent = findParent(state.viewMap, sResourceName);
+                viewList = addView(state, sResourceName);
+                if (sParent && state.dataMap.hasOwnProperty(sParent)) {
+                    state.dataMap[sResourceName] = state.dataMap[sParent];
+                    conf.vars = objUtil.mix({}, conf.vars, state.dataMap[sParent]);
+                }
+                // Load resource and data that is specified in data directives
+                if (bBuild) {
+                    try {
+                        sText = readBuildFile(require.toUrl(sResourceName));
+                    }
+                    catch (e) {
+                        failLoad(null, e);
+                        return;
+                    }
+                    if (sText !== null) {
+                        processView(sText, require);
+                        return;
+                    }
+                }
+                require(["text!" + require.toUrl(sResourceName), "require"], processView, function(err) {
+                    failLoad(null, err);
                 });
+            },
+            
+            // Build API (r.js)
+            
+            "write": function(sPluginName, sModuleName, write) {
+                if (buildMap.hasOwnProperty(sModuleName)) {
+                    write.asModule(sPluginName + "!" + sModuleName, 
+                                    getModuleCode(sPluginName, sModuleName, buildMap[sModuleName], 
+                                                    buildMap[sModuleName].settings));
+                }
+            },
+            
+            "writeFile": function(sPluginName, sModuleName, req, write, config) {
+                var api = this,
+                    sFileName = req.toUrl(sModuleName.split("!")[0]) + ".js";
+                api.load(sModuleName, req, function() {
+                    var fileWrite = function(sContent) {
+                        return write(sFileName, sContent);
+                    };
+                    fileWrite.asModule = function(sName, sContent) {
+                        return write.asModule(sName, sFileName, sContent);
+                    };
+                    api.write(sPluginName, sModuleName, fileWrite, config);
+                }, objUtil.mix({}, config, {isBuild: true}));
             }
     
         };